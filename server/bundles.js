@@ -0,0 +1,105 @@
+// server/bundles.js - Admin-defined template bundles sold at one discounted price
+//
+// The bundle price is split across the member templates in proportion to their list prices, and each
+// member's share becomes its own Checkout line item and, once paid, its own completed purchases row.
+// Buyers who already own some members pay only for the shares of the rest.
+import { parseNamedInput } from './slugs.js';
+import { MAX_CATEGORY_SLUG_LENGTH } from './taxonomy.js';
+
+export const MIN_BUNDLE_TEMPLATES = 2;
+export const MAX_BUNDLE_TEMPLATES = 20; // Keeps the Checkout metadata under Stripe's 500 character limit
+export const MAX_BUNDLE_NAME_LENGTH = 100;
+export const MAX_BUNDLE_DESCRIPTION_LENGTH = 2000;
+export const MIN_CHECKOUT_AMOUNT = 50; // Stripe's minimum charge in USD cents
+const MAX_BUNDLE_PRICE = 1000000;
+
+// Validates a bundle create (or, with partial, update) body. Prices are in cents, like templates.price.
+// Returns { slug, name, description, price, isActive } with only the provided fields, or { error }.
+export function parseBundleInput(body, { partial = false } = {}) {
+  const input = parseNamedInput(body, {
+    partial,
+    maxNameLength: MAX_BUNDLE_NAME_LENGTH,
+    maxSlugLength: MAX_CATEGORY_SLUG_LENGTH,
+    maxDescriptionLength: MAX_BUNDLE_DESCRIPTION_LENGTH
+  });
+  if (input.error) return input;
+
+  if (body.price !== undefined || !partial) {
+    const price = Number(body.price);
+    if (!Number.isInteger(price) || price < MIN_CHECKOUT_AMOUNT || price > MAX_BUNDLE_PRICE) {
+      return { error: `price must be a whole number of cents between ${MIN_CHECKOUT_AMOUNT} and ${MAX_BUNDLE_PRICE}` };
+    }
+    input.price = price;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') return { error: 'isActive must be true or false' };
+    input.isActive = body.isActive;
+  }
+
+  if (partial && Object.keys(input).length === 0) {
+    return { error: 'Nothing to update: send name, slug, description, price or isActive' };
+  }
+  return input;
+}
+
+// Ordered, de-duplicated member template IDs. Returns { templateIds } or { error }.
+export function parseBundleMembers(value) {
+  if (!Array.isArray(value)) {
+    return { error: 'templateIds must be an array of template IDs in display order' };
+  }
+  const templateIds = [...new Set(value.map(Number))];
+  if (templateIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'templateIds must contain positive whole numbers' };
+  }
+  if (templateIds.length < MIN_BUNDLE_TEMPLATES || templateIds.length > MAX_BUNDLE_TEMPLATES) {
+    return { error: `A bundle holds between ${MIN_BUNDLE_TEMPLATES} and ${MAX_BUNDLE_TEMPLATES} templates` };
+  }
+  return { templateIds };
+}
+
+// Returns null when the bundle price is a discount on its members, otherwise an error message
+export function bundlePriceError(price, members) {
+  const listPrice = members.reduce((sum, member) => sum + member.price, 0);
+  return price < listPrice
+    ? null
+    : `Bundle price must be lower than the members' combined price of ${listPrice} cents`;
+}
+
+// Splits the bundle price across members by list price (evenly if they are all free).
+// Largest remainder rounding, so the shares always add up to the bundle price exactly.
+// members: [{ id, price }] -> [{ id, amount }] in the same order
+export function allocateBundlePrice(bundlePrice, members) {
+  const listPrice = members.reduce((sum, member) => sum + member.price, 0);
+  const weights = members.map(member => (listPrice > 0 ? member.price / listPrice : 1 / members.length));
+  const exact = weights.map(weight => weight * bundlePrice);
+  const amounts = exact.map(Math.floor);
+
+  let remainder = bundlePrice - amounts.reduce((sum, amount) => sum + amount, 0);
+  const byFraction = exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+  for (const { index } of byFraction) {
+    if (remainder <= 0) break;
+    amounts[index] += 1;
+    remainder -= 1;
+  }
+
+  return members.map((member, index) => ({ id: member.id, amount: amounts[index] }));
+}
+
+// Checkout metadata carries what each line item paid: "12:1500,4:1000"
+export function encodeBundleItems(items) {
+  return items.map(item => `${item.id}:${item.amount}`).join(',');
+}
+
+// Returns [{ id, amount }], or null when the metadata is malformed
+export function decodeBundleItems(value) {
+  if (typeof value !== 'string' || !/^\d+:\d+(,\d+:\d+)*$/.test(value)) {
+    return null;
+  }
+  return value.split(',').map(pair => {
+    const [id, amount] = pair.split(':').map(Number);
+    return { id, amount };
+  });
+}
@@ -0,0 +1,101 @@
+// server/curation.js - Featured templates and homepage collections
+//
+// A template is featured while is_featured is set and NOW() falls inside its optional
+// featured_from / featured_until window. Collections are named, ordered template lists.
+// Both only ever show catalog-visible templates; the callers add catalogVisibleSql.
+import { parseNamedInput } from './slugs.js';
+import { MAX_CATEGORY_SLUG_LENGTH } from './taxonomy.js';
+
+export const MAX_FEATURED_TEMPLATES = 12;
+export const MAX_COLLECTION_TEMPLATES = 50;
+export const MAX_COLLECTION_NAME_LENGTH = 100;
+export const MAX_COLLECTION_DESCRIPTION_LENGTH = 500;
+const MAX_DISPLAY_ORDER = 10000;
+
+export function featuredNowSql(alias = '') {
+  const column = alias ? `${alias}.` : '';
+  return `(${column}is_featured = true AND (${column}featured_from IS NULL OR ${column}featured_from <= NOW()) AND (${column}featured_until IS NULL OR ${column}featured_until > NOW()))`;
+}
+
+// 'scheduled', 'active' or 'expired' for a featured template row, null when not featured
+export function featureState(template, now = new Date()) {
+  if (!template.is_featured) return null;
+  if (template.featured_from && new Date(template.featured_from) > now) return 'scheduled';
+  if (template.featured_until && new Date(template.featured_until) <= now) return 'expired';
+  return 'active';
+}
+
+function parseDisplayOrder(value, field) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const order = Number(value);
+  if (!Number.isInteger(order) || order < 0 || order > MAX_DISPLAY_ORDER) {
+    return { error: `${field} must be a whole number between 0 and ${MAX_DISPLAY_ORDER}` };
+  }
+  return { value: order };
+}
+
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    return { error: `${field} must be an ISO 8601 date-time` };
+  }
+  return { value: date };
+}
+
+// Body: { featuredFrom?, featuredUntil?, order? } - an open window features the template right away and indefinitely.
+// Returns { featuredFrom, featuredUntil, order } or { error }.
+export function parseFeatureInput(body, now = new Date()) {
+  const from = parseTimestamp(body.featuredFrom, 'featuredFrom');
+  if (from.error) return from;
+  const until = parseTimestamp(body.featuredUntil, 'featuredUntil');
+  if (until.error) return until;
+  const order = parseDisplayOrder(body.order, 'order');
+  if (order.error) return order;
+
+  if (until.value && until.value <= now) {
+    return { error: 'featuredUntil must be in the future' };
+  }
+  if (from.value && until.value && until.value <= from.value) {
+    return { error: 'featuredUntil must be after featuredFrom' };
+  }
+  return { featuredFrom: from.value, featuredUntil: until.value, order: order.value };
+}
+
+// Validates a collection create (or, with partial, update) body. Slugs follow the category slug rules.
+// Returns { slug, name, description, displayOrder } with only the provided fields, or { error }.
+export function parseCollectionInput(body, { partial = false } = {}) {
+  const input = parseNamedInput(body, {
+    partial,
+    maxNameLength: MAX_COLLECTION_NAME_LENGTH,
+    maxSlugLength: MAX_CATEGORY_SLUG_LENGTH,
+    maxDescriptionLength: MAX_COLLECTION_DESCRIPTION_LENGTH
+  });
+  if (input.error) return input;
+
+  if (body.displayOrder !== undefined) {
+    const order = parseDisplayOrder(body.displayOrder, 'displayOrder');
+    if (order.error) return order;
+    input.displayOrder = order.value ?? 0;
+  }
+
+  if (partial && Object.keys(input).length === 0) {
+    return { error: 'Nothing to update: send name, slug, description or displayOrder' };
+  }
+  return input;
+}
+
+// Ordered, de-duplicated template IDs for a collection. Returns { templateIds } or { error }.
+export function parseCollectionMembers(value) {
+  if (!Array.isArray(value)) {
+    return { error: 'templateIds must be an array of template IDs in display order' };
+  }
+  const templateIds = [...new Set(value.map(Number))];
+  if (templateIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'templateIds must contain positive whole numbers' };
+  }
+  if (templateIds.length > MAX_COLLECTION_TEMPLATES) {
+    return { error: `A collection holds at most ${MAX_COLLECTION_TEMPLATES} templates` };
+  }
+  return { templateIds };
+}
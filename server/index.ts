@@ -16,7 +16,7 @@ import templateRouter from './templateRoutes'; // This is the correct router for
 import stripeRouter from './stripeRoutes';
 import { authRouter } from './authRoutes';
 import purchaseRouter from "./purchaseRoutes";
-import recommendationsRouter from './recommendationsRoutes';
+import createRecommendationsRouter from './recommendationsRoutes';
 
 dotenv.config({ path: '../.env' });
 
@@ -210,7 +210,7 @@ app.use('/api/templates', templateRouter); // ✅ FIXED: Correctly using templat
 app.use('/api/stripe', stripeRouter);
 app.use('/api/auth', authRouter);
 app.use("/api/purchases", purchaseRouter);
-app.use('/api/recommendations', recommendationsRouter);
+app.use('/api/recommendations', createRecommendationsRouter({ requireStaffAuth: authenticateAdmin }));
 
 // ✅ SECURE: Add template update endpoints for frontend compatibility with authentication
 app.put('/api/templates/:id', templateLimiter, authenticateAdmin, validateTemplateUpdate, async (req: AuthenticatedRequest, res: Response) => {
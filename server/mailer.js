@@ -0,0 +1,69 @@
+// server/mailer.js - Pluggable outgoing mail (sign-in links and other notifications)
+//
+// MAIL_TRANSPORT selects how messages leave the server:
+//   console - log the message instead of sending it (default outside production)
+//   smtp    - send through SMTP_HOST/SMTP_PORT (default in production). In development point it at
+//             a local catcher such as Mailpit or MailHog: SMTP_HOST=localhost SMTP_PORT=1025
+// Other transports can be added with registerMailTransport(name, factory).
+import nodemailer from 'nodemailer';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'DevHubConnect <no-reply@devhubconnect.com>';
+
+const transportFactories = {
+  console: () => ({
+    async send(message) {
+      console.log('📧 [console mail transport] Message not sent:', {
+        to: message.to,
+        subject: message.subject
+      });
+      console.log(message.text);
+      return { id: `console-${Date.now()}` };
+    }
+  }),
+
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      async send(message) {
+        const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+        return { id: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+// factory() returns an object with `async send({ to, subject, text, html })`
+export function registerMailTransport(name, factory) {
+  transportFactories[name] = factory;
+  activeTransport = null;
+}
+
+export function mailTransportName() {
+  return process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    const name = mailTransportName();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ to, subject, text, html });
+}
@@ -0,0 +1,57 @@
+// server/permissions.js - Named capabilities and the roles that grant them
+//
+// Routes ask for a capability (requirePermission('templates:write')) instead of checking role = 'admin',
+// so a role's reach is decided here in one place.
+export const PERMISSIONS = Object.freeze({
+  TEMPLATES_WRITE: 'templates:write', // Create templates and edit/delete your own
+  TEMPLATES_PUBLISH: 'templates:publish', // Edit, delete and publish any template
+  PURCHASES_REFUND: 'purchases:refund',
+  ANALYTICS_READ: 'analytics:read', // Marketplace-wide sales and user analytics
+  USERS_MANAGE: 'users:manage', // Roles, lockouts, impersonation, admin invitations, audit log
+});
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Keys match the user_role enum in shared/schema.ts
+export const ROLE_PERMISSIONS = Object.freeze({
+  user: [],
+  creator: [PERMISSIONS.TEMPLATES_WRITE],
+  admin: ALL_PERMISSIONS,
+});
+
+// Roles allowed through staff authentication at all (anything that grants at least one capability)
+export const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].length > 0);
+
+export function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+export function hasPermission(user, permission) {
+  return Boolean(user) && permissionsForRole(user.role).includes(permission);
+}
+
+// Builds requirePermission(...permissions) on top of a router's own authentication middleware.
+// Every listed capability is required; the result is a middleware array Express accepts in place of one handler.
+export function createPermissionGuard(authenticate) {
+  return (...permissions) => {
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (permissions.length === 0 || unknown.length > 0) {
+      throw new Error(`Unknown permission: ${unknown.join(', ') || '(none given)'}`);
+    }
+
+    const checkPermissions = (req, res, next) => {
+      const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+      if (missing.length > 0) {
+        console.warn('🚫 Permission denied:', req.user?.email || req.user?.id, 'missing', missing.join(', '));
+        return res.status(403).json({
+          error: 'You do not have permission to perform this action',
+          code: 'PERMISSION_DENIED',
+          required: missing
+        });
+      }
+      next();
+    };
+
+    return [authenticate, checkPermissions];
+  };
+}
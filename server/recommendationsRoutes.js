@@ -4,13 +4,13 @@ import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 import jwt from 'jsonwebtoken';
 import pg from 'pg';
+import { PERMISSIONS, createPermissionGuard } from './permissions.js';
+import { catalogVisibleSql } from './templateModeration.js';
 const { Pool } = pg;
 
 // Use the same database connection from your main server
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
-const router = express.Router();
-
 // ANALYTICS-POWERED RECOMMENDATION ENGINE (Converted to JavaScript)
 class SmartRecommendationEngine {
   
@@ -230,7 +230,7 @@ const authenticateJWT = async (req, res, next) => {
 };
 
 // ENHANCED RECOMMENDATIONS ENDPOINT
-router.get('/', authenticateJWT, async (req, res) => {
+async function getRecommendations(req, res) {
   try {
     const { 
       limit = 9,
@@ -255,7 +255,7 @@ router.get('/', authenticateJWT, async (req, res) => {
         download_count as downloads, tags, view_count as "viewCount",
         creator_id as "creatorId", rating, rating_count as "ratingCount"
       FROM templates 
-      WHERE is_public = true AND status = 'published'
+      WHERE ${catalogVisibleSql()}
     `;
     
     const queryParams = [];
@@ -405,10 +405,10 @@ router.get('/', authenticateJWT, async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+}
 
 // Business Plan Preferences Endpoint
-router.post('/preferences', async (req, res) => {
+async function savePreferences(req, res) {
   try {
     const { userId, preferences } = req.body;
     
@@ -429,10 +429,10 @@ router.post('/preferences', async (req, res) => {
     console.error('Error saving preferences:', error);
     res.status(500).json({ message: 'Failed to save preferences' });
   }
-});
+}
 
-// Get user's recommendation analytics
-router.get('/analytics/:userId', async (req, res) => {
+// Get user's recommendation analytics (another user's purchase history - staff only)
+async function getUserAnalytics(req, res) {
   try {
     const { userId } = req.params;
     
@@ -469,6 +469,14 @@ router.get('/analytics/:userId', async (req, res) => {
     console.error('Error fetching user analytics:', error);
     res.status(500).json({ message: 'Failed to fetch analytics' });
   }
-});
+}
 
-export default router;
\ No newline at end of file
+// Staff routes are guarded by the main server's staff auth, so admin MFA applies to them too
+export default function createRecommendationsRouter({ requireStaffAuth }) {
+  const router = express.Router();
+  const requirePermission = createPermissionGuard(requireStaffAuth);
+  router.get('/', authenticateJWT, getRecommendations);
+  router.post('/preferences', savePreferences);
+  router.get('/analytics/:userId', requirePermission(PERMISSIONS.ANALYTICS_READ), getUserAnalytics);
+  return router;
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+// server/slugs.js - URL slugs, and the name/slug/description fields shared by categories, collections and bundles
+
+// "Send Slack → Gmail Alerts!" -> "send-slack-gmail-alerts". Empty when the value has no letters or numbers.
+export function slugify(value, maxLength) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, maxLength)
+    .replace(/-+$/, '');
+}
+
+// Validates the name, slug and description of a create (or, with partial, update) body.
+// New records take their slug from the name unless one is given.
+// Returns { slug, name, description } with only the provided fields, or { error }.
+export function parseNamedInput(body, { partial = false, maxNameLength, maxSlugLength, maxDescriptionLength }) {
+  const input = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    if (name.length > maxNameLength) {
+      return { error: `name must be at most ${maxNameLength} characters` };
+    }
+    input.name = name;
+  }
+
+  if (body.slug !== undefined || !partial) {
+    const slug = slugify(body.slug ?? input.name, maxSlugLength);
+    if (!slug) return { error: 'slug must contain letters or numbers' };
+    input.slug = slug;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    const description = body.description?.trim() || null;
+    if (description && description.length > maxDescriptionLength) {
+      return { error: `description must be at most ${maxDescriptionLength} characters` };
+    }
+    input.description = description;
+  }
+
+  return input;
+}
@@ -0,0 +1,54 @@
+// server/taxonomy.js - Template categories and the tag vocabulary
+//
+// Categories are a controlled list (template_categories); templates.category stores a category slug.
+// Tags are lowercase strings in templates.tags, and every tag in use has a template_tags row, so
+// renaming or merging a tag rewrites the templates that carry it.
+import { slugify, parseNamedInput } from './slugs.js';
+
+export const MAX_TAG_LENGTH = 50;
+export const MAX_TAGS_PER_TEMPLATE = 20;
+export const MAX_CATEGORY_SLUG_LENGTH = 60;
+export const MAX_CATEGORY_NAME_LENGTH = 100;
+export const MAX_CATEGORY_DESCRIPTION_LENGTH = 1000;
+
+// "  Google   Sheets " -> "google sheets"
+export function normalizeTag(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Accepts an array or a comma/semicolon separated string. Returns unique normalized tags in order.
+export function parseTagList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[;,]/);
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+// Returns null when the tags can be stored on a template, otherwise an error message
+export function tagListError(tags) {
+  if (tags.length > MAX_TAGS_PER_TEMPLATE) {
+    return `At most ${MAX_TAGS_PER_TEMPLATE} tags are allowed`;
+  }
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  return tooLong ? `Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters` : null;
+}
+
+// "CRM & Sales" -> "crm-sales"
+export function categorySlug(value) {
+  return slugify(value, MAX_CATEGORY_SLUG_LENGTH);
+}
+
+// Validates a category create (or, with partial, update) body.
+// Returns { slug, name, description } with only the provided fields, or { error }.
+export function parseCategoryInput(body, { partial = false } = {}) {
+  const input = parseNamedInput(body, {
+    partial,
+    maxNameLength: MAX_CATEGORY_NAME_LENGTH,
+    maxSlugLength: MAX_CATEGORY_SLUG_LENGTH,
+    maxDescriptionLength: MAX_CATEGORY_DESCRIPTION_LENGTH
+  });
+  if (input.error) return input;
+
+  if (partial && Object.keys(input).length === 0) {
+    return { error: 'Nothing to update: send name, slug or description' };
+  }
+  return input;
+}
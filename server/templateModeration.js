@@ -0,0 +1,61 @@
+// server/templateModeration.js - Template lifecycle and who can see a template
+//
+// Status values match the template_status enum in shared/schema.ts. A draft with submitted_at set is
+// waiting in the moderation queue; only published templates appear in the catalog. Archiving is how
+// templates are deleted - buyers keep their downloads, and restore puts back the archived_from_status.
+import { PERMISSIONS } from './permissions.js';
+
+export const TEMPLATE_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected',
+  ARCHIVED: 'archived',
+});
+
+export const MAX_REJECTION_REASON_LENGTH = 1000;
+
+// Allowed moves between statuses and the capability each one needs
+export const TEMPLATE_TRANSITIONS = Object.freeze({
+  submit: { from: [TEMPLATE_STATUS.DRAFT, TEMPLATE_STATUS.REJECTED], to: TEMPLATE_STATUS.DRAFT, permission: PERMISSIONS.TEMPLATES_WRITE },
+  approve: { from: [TEMPLATE_STATUS.DRAFT], to: TEMPLATE_STATUS.PUBLISHED, permission: PERMISSIONS.TEMPLATES_PUBLISH, needsSubmission: true },
+  reject: { from: [TEMPLATE_STATUS.DRAFT], to: TEMPLATE_STATUS.REJECTED, permission: PERMISSIONS.TEMPLATES_PUBLISH, needsSubmission: true },
+  archive: { from: [TEMPLATE_STATUS.DRAFT, TEMPLATE_STATUS.PUBLISHED, TEMPLATE_STATUS.REJECTED], to: TEMPLATE_STATUS.ARCHIVED, permission: PERMISSIONS.TEMPLATES_WRITE },
+  restore: { from: [TEMPLATE_STATUS.ARCHIVED], to: null, permission: PERMISSIONS.TEMPLATES_WRITE }, // to: the status it was archived from
+});
+
+// Status a transition moves the template to
+export function transitionTarget(template, action) {
+  return TEMPLATE_TRANSITIONS[action].to || template.archived_from_status || TEMPLATE_STATUS.DRAFT;
+}
+
+// The one visibility rule for catalog, search, sitemap, preview and recommendation queries
+export function catalogVisibleSql(alias = '') {
+  const column = alias ? `${alias}.` : '';
+  return `(${column}status = '${TEMPLATE_STATUS.PUBLISHED}' AND ${column}is_public = true)`;
+}
+
+export function isCatalogVisible(template) {
+  return Boolean(template) && template.status === TEMPLATE_STATUS.PUBLISHED && template.is_public === true;
+}
+
+export function isAwaitingReview(template) {
+  return template.status === TEMPLATE_STATUS.DRAFT && Boolean(template.submitted_at);
+}
+
+// Returns null when the action may run on the template, otherwise an error message
+export function transitionError(template, action) {
+  const transition = TEMPLATE_TRANSITIONS[action];
+  if (!transition) {
+    return `Unknown action: ${action}`;
+  }
+  if (!transition.from.includes(template.status)) {
+    return `Cannot ${action} a template that is ${template.status}`;
+  }
+  if (transition.needsSubmission && !isAwaitingReview(template)) {
+    return `Cannot ${action} a template that has not been submitted for review`;
+  }
+  if (action === 'submit' && isAwaitingReview(template)) {
+    return 'Template is already awaiting review';
+  }
+  return null;
+}
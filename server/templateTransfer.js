@@ -0,0 +1,318 @@
+// server/templateTransfer.js - ZIP bundles for bulk template import and catalog export
+//
+// A bundle holds n8n workflow JSON files plus manifest.csv or manifest.json at the root. Each manifest entry
+// names its workflow file and the listing fields: file, name, description, price (USD), tags, category, image_url.
+// Export writes the same layout, so an exported bundle imports as-is (extra columns are ignored).
+import JSZip from 'jszip';
+import { parseTagList, tagListError } from './taxonomy.js';
+
+export const MANIFEST_COLUMNS = ['file', 'name', 'description', 'price', 'tags', 'category', 'image_url'];
+export const MAX_IMPORT_ENTRIES = 500;
+export const MAX_WORKFLOW_FILE_BYTES = 2 * 1024 * 1024;
+export const MAX_MANIFEST_BYTES = 8 * 1024 * 1024;
+// Uncompressed bytes one import may read across all of its workflow files
+export const MAX_IMPORT_TOTAL_BYTES = 50 * 1024 * 1024;
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 10000;
+const MAX_PRICE_DOLLARS = 10000;
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// RFC 4180: quoted fields, "" for a quote inside quotes, CRLF or LF line endings
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Undo csvCell's formula guard
+function unguardCell(value) {
+  return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.substring(1))
+    ? value.substring(1)
+    : value;
+}
+
+function normalizeZipPath(path) {
+  return String(path || '').trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+}
+
+// Reads a ZIP entry as UTF-8 text, or returns null when it is larger than maxBytes. The size in the ZIP directory is
+// checked first, but the uploader writes it, so the limit is also enforced while inflating - a zip bomb stops there.
+function readZipText(file, maxBytes) {
+  const declaredSize = file._data?.uncompressedSize;
+  if (Number.isFinite(declaredSize) && declaredSize > maxBytes) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let settled = false;
+    const stream = file.internalStream('uint8array');
+
+    stream
+      .on('data', (chunk) => {
+        if (settled) return;
+        size += chunk.length;
+        if (size > maxBytes) {
+          settled = true;
+          stream.pause();
+          resolve(null);
+          return;
+        }
+        chunks.push(Buffer.from(chunk));
+      })
+      .on('error', (error) => {
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      })
+      .on('end', () => {
+        if (!settled) {
+          settled = true;
+          resolve(Buffer.concat(chunks).toString('utf8'));
+        }
+      })
+      .resume();
+  });
+}
+
+const formatMegabytes = (bytes) => `${bytes / 1024 / 1024}MB`;
+
+// Reads the bundle's manifest. Returns { zip, entries, budget } or { error }.
+// budget tracks the uncompressed bytes left for workflow files; pass it to every validateImportEntry call.
+// Entry rows are numbered as a spreadsheet shows them (CSV header is row 1) or from 1 for JSON manifests.
+export async function readImportBundle(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    return { error: 'Upload is not a valid ZIP file' };
+  }
+
+  const manifestFile = zip.file('manifest.json') || zip.file('manifest.csv');
+  if (!manifestFile) {
+    return { error: 'ZIP must contain manifest.csv or manifest.json at its root' };
+  }
+
+  let manifestText;
+  try {
+    manifestText = await readZipText(manifestFile, MAX_MANIFEST_BYTES);
+  } catch (error) {
+    return { error: `${manifestFile.name} could not be read: ${error.message}` };
+  }
+  if (manifestText === null) {
+    return { error: `${manifestFile.name} is larger than ${formatMegabytes(MAX_MANIFEST_BYTES)}` };
+  }
+  let entries;
+
+  if (manifestFile.name === 'manifest.json') {
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestText);
+    } catch (error) {
+      return { error: `manifest.json is not valid JSON: ${error.message}` };
+    }
+    const list = Array.isArray(manifest) ? manifest : manifest?.templates;
+    if (!Array.isArray(list)) {
+      return { error: 'manifest.json must be an array of templates or { "templates": [...] }' };
+    }
+    entries = list.map((item, index) => ({ ...(item && typeof item === 'object' ? item : {}), row: index + 1 }));
+  } else {
+    let records;
+    try {
+      records = parseCsv(manifestText);
+    } catch (error) {
+      return { error: `manifest.csv could not be parsed: ${error.message}` };
+    }
+    const [header = [], ...dataRows] = records;
+    const columns = header.map(column => column.trim().toLowerCase());
+    if (!columns.includes('file') || !columns.includes('name')) {
+      return { error: `manifest.csv needs a header row with at least: ${MANIFEST_COLUMNS.join(', ')}` };
+    }
+    entries = dataRows
+      .map((cells, index) => {
+        const entry = { row: index + 2 };
+        columns.forEach((column, columnIndex) => {
+          entry[column] = unguardCell(cells[columnIndex] ?? '');
+        });
+        return entry;
+      })
+      .filter(entry => columns.some(column => String(entry[column] ?? '').trim() !== ''));
+  }
+
+  if (entries.length === 0) {
+    return { error: 'Manifest has no templates' };
+  }
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    return { error: `Manifest has ${entries.length} templates; the limit is ${MAX_IMPORT_ENTRIES} per import` };
+  }
+  return { zip, entries, budget: { remainingBytes: MAX_IMPORT_TOTAL_BYTES } };
+}
+
+// Checks one manifest entry and loads its workflow file. The category is checked against the database by the caller.
+// Returns { template, errors } - template is ready to insert (price in cents) when errors is empty.
+export async function validateImportEntry(zip, entry, budget = { remainingBytes: MAX_IMPORT_TOTAL_BYTES }) {
+  const errors = [];
+  const name = String(entry.name ?? '').trim();
+  const description = String(entry.description ?? '').trim();
+  const category = String(entry.category ?? '').trim() || null;
+  const imageUrl = String(entry.image_url ?? entry.imageUrl ?? '').trim() || null;
+  const tags = parseTagList(entry.tags);
+  const file = normalizeZipPath(entry.file);
+
+  if (!name) errors.push('name is required');
+  else if (name.length > MAX_NAME_LENGTH) errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+  if (!description) errors.push('description is required');
+  else if (description.length > MAX_DESCRIPTION_LENGTH) errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+
+  const priceText = String(entry.price ?? '').trim().replace(/^\$/, '');
+  const price = Number(priceText);
+  if (priceText === '' || !Number.isFinite(price) || price < 0 || price > MAX_PRICE_DOLLARS) {
+    errors.push(`price must be a number of dollars between 0 and ${MAX_PRICE_DOLLARS}`);
+  }
+
+  const tagsError = tagListError(tags);
+  if (tagsError) errors.push(tagsError);
+
+  if (imageUrl && !/^https?:\/\//i.test(imageUrl)) errors.push('image_url must be an http(s) URL');
+
+  let workflowJson = null;
+  const workflowFile = file ? zip.file(file) : null;
+  if (!file) {
+    errors.push('file is required');
+  } else if (!workflowFile) {
+    errors.push(`file ${file} is not in the ZIP`);
+  } else if (budget.remainingBytes <= 0) {
+    errors.push(`skipped: the import already read ${formatMegabytes(MAX_IMPORT_TOTAL_BYTES)} of workflow files`);
+  } else {
+    const limit = Math.min(MAX_WORKFLOW_FILE_BYTES, budget.remainingBytes);
+    // undefined when the entry is corrupt, null when it is over the limit
+    const content = await readZipText(workflowFile, limit).catch(error => {
+      errors.push(`file ${file} could not be read: ${error.message}`);
+      return undefined;
+    });
+    if (content === null) {
+      errors.push(limit < MAX_WORKFLOW_FILE_BYTES
+        ? `file ${file} does not fit in the ${formatMegabytes(MAX_IMPORT_TOTAL_BYTES)} limit for one import`
+        : `file ${file} is larger than ${formatMegabytes(MAX_WORKFLOW_FILE_BYTES)}`);
+    } else if (content !== undefined) {
+      budget.remainingBytes -= Buffer.byteLength(content);
+      try {
+        workflowJson = JSON.parse(content);
+        if (!workflowJson || !Array.isArray(workflowJson.nodes)) {
+          errors.push(`file ${file} is not an n8n workflow (missing nodes array)`);
+        }
+      } catch (error) {
+        errors.push(`file ${file} is not valid JSON: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    errors,
+    template: {
+      file,
+      name,
+      description,
+      priceInCents: Math.round(price * 100),
+      tags,
+      category,
+      imageUrl,
+      workflowJson
+    }
+  };
+}
+
+// Builds an export bundle: workflows/<id>-<slug>.json plus a manifest in the import format
+export async function buildExportBundle(templates, { manifestFormat = 'csv' } = {}) {
+  const zip = new JSZip();
+  const manifest = templates.map(template => {
+    const file = `workflows/${template.id}-${template.slug || 'template'}.json`;
+    zip.file(file, JSON.stringify(template.workflow_json, null, 2));
+    return {
+      file,
+      name: template.name,
+      description: template.description,
+      price: (Number(template.price) / 100).toFixed(2),
+      tags: (template.tags || []).join(';'),
+      category: template.category || '',
+      image_url: template.image_url || '',
+      // Informational - ignored on import
+      id: template.id,
+      slug: template.slug || '',
+      status: template.status,
+      version: template.current_version || ''
+    };
+  });
+
+  if (manifestFormat === 'json') {
+    zip.file('manifest.json', JSON.stringify(
+      manifest.map(entry => ({ ...entry, tags: entry.tags ? entry.tags.split(';') : [] })),
+      null,
+      2
+    ));
+  } else {
+    zip.file('manifest.csv', toCsv([...MANIFEST_COLUMNS, 'id', 'slug', 'status', 'version'], manifest));
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
@@ -44,9 +44,14 @@ export const users = pgTable('users', {
   updatedAt: timestamp('updated_at').defaultNow().notNull(),
   lastLoginAt: timestamp('last_login_at'),
   
+  // Admin password login (named admin accounts only; regular users sign in with OAuth or email links)
+  passwordHash: text('password_hash'), // bcrypt
+  passwordChangedAt: timestamp('password_changed_at'), // Admin tokens issued before this are rejected
+  
   // Security tracking
   loginAttempts: integer('login_attempts').default(0).notNull(),
   lockedUntil: timestamp('locked_until'),
+  allowConcurrentSessions: boolean('allow_concurrent_sessions').default(false).notNull(), // false = one active session per user
 }, (table) => {
   return {
     // ✅ SECURE: Database indexes for performance and security
@@ -79,6 +84,19 @@ export const templates = pgTable('templates', {
   status: templateStatusEnum('status').default('draft').notNull(),
   isPublic: boolean('is_public').default(false).notNull(),
   isFeatured: boolean('is_featured').default(false).notNull(),
+  featuredFrom: timestamp('featured_from'), // Optional window - featured only between these times
+  featuredUntil: timestamp('featured_until'),
+  featuredOrder: integer('featured_order'), // Lower shows first; unordered templates follow
+  submittedAt: timestamp('submitted_at'), // Set while a draft waits in the moderation queue
+  reviewedAt: timestamp('reviewed_at'),
+  reviewedBy: text('reviewed_by').references(() => users.id, { onDelete: 'set null' }),
+  rejectionReason: text('rejection_reason'), // Shown to the creator until they resubmit
+  archivedAt: timestamp('archived_at'), // Soft delete - hidden from the catalog, still downloadable by buyers
+  archivedFromStatus: templateStatusEnum('archived_from_status'), // Restored to this status
+  // Content edits to a published template wait here for review; the catalog and buyers keep the live content
+  pendingEdit: jsonb('pending_edit'), // { name, description, image_url, workflow_json?, version?, changelog, submitted_by }
+  editSubmittedAt: timestamp('edit_submitted_at'),
+  editRejectionReason: text('edit_rejection_reason'), // Shown to the creator until their next edit
   
   // Performance and analytics - FIXED FIELD NAMES
   downloadCount: integer('download_count').default(0).notNull(),
@@ -104,7 +122,10 @@ export const templates = pgTable('templates', {
   // SEO and discoverability
   slug: varchar('slug', { length: 250 }), // URL-friendly identifier
   metaDescription: varchar('meta_description', { length: 160 }), // SEO description
-  category: text('category'), // ✅ ADDED: Missing category field to match database
+  category: text('category'), // Slug of a template_categories row
+  
+  // Versioning - semantic version of the latest template_versions row
+  currentVersion: varchar('current_version', { length: 20 }),
 }, (table) => {
   return {
     // ✅ SECURE: Performance and security indexes
@@ -112,11 +133,128 @@ export const templates = pgTable('templates', {
     statusIdx: index('templates_status_idx').on(table.status),
     publicIdx: index('templates_public_idx').on(table.isPublic),
     featuredIdx: index('templates_featured_idx').on(table.isFeatured),
+    submittedAtIdx: index('templates_submitted_at_idx').on(table.submittedAt),
     priceIdx: index('templates_price_idx').on(table.price),
     createdAtIdx: index('templates_created_at_idx').on(table.createdAt),
     slugIdx: uniqueIndex('templates_slug_idx').on(table.slug), // Unique slugs
     ratingIdx: index('templates_rating_idx').on(table.rating),
     downloadCountIdx: index('templates_download_count_idx').on(table.downloadCount),
+    categoryIdx: index('templates_category_idx').on(table.category),
+  };
+});
+
+// ✅ TAXONOMY: The controlled category list - templates.category holds one of these slugs
+export const templateCategories = pgTable('template_categories', {
+  id: serial('id').primaryKey(),
+  slug: varchar('slug', { length: 60 }).notNull(),
+  name: varchar('name', { length: 100 }).notNull(),
+  description: text('description'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    slugIdx: uniqueIndex('template_categories_slug_unique').on(table.slug),
+  };
+});
+
+// ✅ CURATION: Named homepage collections, e.g. "AI agents" or "CRM starters"
+export const templateCollections = pgTable('template_collections', {
+  id: serial('id').primaryKey(),
+  slug: varchar('slug', { length: 60 }).notNull(),
+  name: varchar('name', { length: 100 }).notNull(),
+  description: text('description'),
+  displayOrder: integer('display_order').default(0).notNull(), // Lower shows first on the homepage
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    slugIdx: uniqueIndex('template_collections_slug_unique').on(table.slug),
+    displayOrderIdx: index('template_collections_display_order_idx').on(table.displayOrder),
+  };
+});
+
+// ✅ CURATION: Ordered collection members
+export const templateCollectionItems = pgTable('template_collection_items', {
+  id: serial('id').primaryKey(),
+  collectionId: integer('collection_id').references(() => templateCollections.id, { onDelete: 'cascade' }).notNull(),
+  templateId: integer('template_id').references(() => templates.id, { onDelete: 'cascade' }).notNull(),
+  position: integer('position').notNull(),
+  addedAt: timestamp('added_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    collectionTemplateIdx: uniqueIndex('template_collection_items_collection_template_unique').on(table.collectionId, table.templateId),
+    templateIdx: index('template_collection_items_template_idx').on(table.templateId),
+  };
+});
+
+// ✅ BUNDLES: Admin-defined sets of templates sold together at one discounted price
+export const templateBundles = pgTable('template_bundles', {
+  id: serial('id').primaryKey(),
+  slug: varchar('slug', { length: 60 }).notNull(),
+  name: varchar('name', { length: 100 }).notNull(),
+  description: text('description'),
+  price: integer('price').notNull(), // Bundle price in cents, below the members' combined price
+  currency: varchar('currency', { length: 3 }).default('USD').notNull(),
+  isActive: boolean('is_active').default(true).notNull(), // Inactive bundles can't be bought
+  createdBy: text('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    slugIdx: uniqueIndex('template_bundles_slug_unique').on(table.slug),
+    activeIdx: index('template_bundles_active_idx').on(table.isActive),
+  };
+});
+
+export const templateBundleItems = pgTable('template_bundle_items', {
+  id: serial('id').primaryKey(),
+  bundleId: integer('bundle_id').references(() => templateBundles.id, { onDelete: 'cascade' }).notNull(),
+  templateId: integer('template_id').references(() => templates.id, { onDelete: 'cascade' }).notNull(),
+  position: integer('position').notNull(),
+}, (table) => {
+  return {
+    bundleTemplateIdx: uniqueIndex('template_bundle_items_bundle_template_unique').on(table.bundleId, table.templateId),
+    templateIdx: index('template_bundle_items_template_idx').on(table.templateId),
+  };
+});
+
+// ✅ TAXONOMY: Tag vocabulary - names are lowercase and match the strings in templates.tags
+export const templateTags = pgTable('template_tags', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 50 }).notNull(),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    nameIdx: uniqueIndex('template_tags_name_unique').on(table.name),
+  };
+});
+
+// ✅ SEO: Slugs a template used to have - old URLs 301 to the template's current slug
+export const templateSlugHistory = pgTable('template_slug_history', {
+  id: serial('id').primaryKey(),
+  templateId: integer('template_id').references(() => templates.id, { onDelete: 'cascade' }).notNull(),
+  slug: varchar('slug', { length: 250 }).notNull(),
+  retiredAt: timestamp('retired_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    slugIdx: uniqueIndex('template_slug_history_slug_unique').on(table.slug),
+    templateIdx: index('template_slug_history_template_idx').on(table.templateId),
+  };
+});
+
+// ✅ VERSIONING: Immutable workflow snapshots - every workflow change adds a row, rows are never updated
+export const templateVersions = pgTable('template_versions', {
+  id: serial('id').primaryKey(),
+  templateId: integer('template_id').references(() => templates.id, { onDelete: 'cascade' }).notNull(),
+  version: varchar('version', { length: 20 }).notNull(), // Semantic version, e.g. 1.4.2
+  workflowJson: jsonb('workflow_json').notNull(),
+  changelog: text('changelog'),
+  createdBy: text('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    templateVersionIdx: uniqueIndex('template_versions_template_version_unique').on(table.templateId, table.version),
+    createdAtIdx: index('template_versions_created_at_idx').on(table.createdAt),
   };
 });
 
@@ -125,11 +263,11 @@ export const purchases = pgTable('purchases', {
   // Primary identification
   id: serial('id').primaryKey(),
   
-  // Core purchase relationship
+  // Core purchase relationship - null once the buyer deleted their account (record kept for accounting)
   userId: text('user_id').references(() => users.id, { 
-    onDelete: 'cascade', // Remove purchases when user deleted
+    onDelete: 'set null',
     onUpdate: 'cascade' 
-  }).notNull(),
+  }),
   templateId: integer('template_id').references(() => templates.id, { 
     onDelete: 'cascade', // Remove purchases when template deleted
     onUpdate: 'cascade' 
@@ -156,9 +294,16 @@ export const purchases = pgTable('purchases', {
   ipAddress: varchar('ip_address', { length: 45 }), // IPv4/IPv6 support
   userAgent: text('user_agent'), // Browser/device info
   
+  // Set when the template was bought as part of a bundle; amount_paid is its share of the bundle price
+  bundleId: integer('bundle_id').references(() => templateBundles.id, { onDelete: 'set null' }),
+  
   // Download tracking for license compliance
   downloadCount: integer('download_count').default(0).notNull(),
   lastDownloadAt: timestamp('last_download_at'),
+  lastDownloadedVersion: varchar('last_downloaded_version', { length: 20 }), // Drives "update available" in the library
+  
+  // GDPR: set when the buyer's personal data was stripped on account deletion
+  anonymizedAt: timestamp('anonymized_at'),
 }, (table) => {
   return {
     // ✅ SECURE: Comprehensive indexing for performance and security
@@ -167,6 +312,7 @@ export const purchases = pgTable('purchases', {
     statusIdx: index('purchases_status_idx').on(table.status),
     purchasedAtIdx: index('purchases_purchased_at_idx').on(table.purchasedAt),
     stripeSessionIdx: index('purchases_stripe_session_idx').on(table.stripeSessionId),
+    bundleIdx: index('purchases_bundle_idx').on(table.bundleId),
     
     // ✅ SECURE: Prevent duplicate purchases (one purchase per user per template)
     userTemplateIdx: uniqueIndex('purchases_user_template_unique').on(table.userId, table.templateId),
@@ -241,6 +387,7 @@ export const sessions = pgTable('sessions', {
   ipAddress: varchar('ip_address', { length: 45 }),
   userAgent: text('user_agent'),
   isActive: boolean('is_active').default(true).notNull(),
+  mfaVerifiedAt: timestamp('mfa_verified_at'), // Set once an admin passes TOTP/backup code on this session
 }, (table) => {
   return {
     userIdx: index('sessions_user_idx').on(table.userId),
@@ -249,6 +396,245 @@ export const sessions = pgTable('sessions', {
   };
 });
 
+// ✅ SECURE: Rotating refresh tokens - stored hashed, one family per sign-in
+export const refreshTokens = pgTable('refresh_tokens', {
+  id: serial('id').primaryKey(),
+  tokenHash: text('token_hash').notNull(), // SHA-256 of the token; the raw value only lives in the cookie
+  familyId: text('family_id').notNull(), // Shared by every rotation of one sign-in
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  sessionId: text('session_id').references(() => sessions.id, { onDelete: 'cascade' }).notNull(),
+  
+  // Rotation and revocation
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'), // Set when rotated; presenting it again means reuse
+  revokedAt: timestamp('revoked_at'),
+  replacedById: integer('replaced_by_id'),
+  
+  // Audit fields
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  ipAddress: varchar('ip_address', { length: 45 }),
+  userAgent: text('user_agent'),
+}, (table) => {
+  return {
+    tokenHashIdx: uniqueIndex('refresh_tokens_token_hash_unique').on(table.tokenHash),
+    familyIdx: index('refresh_tokens_family_idx').on(table.familyId),
+    sessionIdx: index('refresh_tokens_session_idx').on(table.sessionId),
+    userIdx: index('refresh_tokens_user_idx').on(table.userId),
+  };
+});
+
+// ✅ SECURE: Personal access tokens for scripted downloads - stored hashed, shown once
+export const personalAccessTokens = pgTable('personal_access_tokens', {
+  id: serial('id').primaryKey(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  
+  // Token metadata
+  name: varchar('name', { length: 100 }).notNull(),
+  tokenPrefix: varchar('token_prefix', { length: 20 }).notNull(), // First characters, for recognising a token in the UI
+  tokenHash: text('token_hash').notNull(),
+  scopes: text('scopes').array().notNull(), // 'library:read' | 'templates:download'
+  
+  // Lifecycle and usage tracking
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at'), // Null = no expiry
+  revokedAt: timestamp('revoked_at'),
+  lastUsedAt: timestamp('last_used_at'),
+  lastUsedIp: varchar('last_used_ip', { length: 45 }),
+}, (table) => {
+  return {
+    tokenHashIdx: uniqueIndex('personal_access_tokens_token_hash_unique').on(table.tokenHash),
+    userIdx: index('personal_access_tokens_user_idx').on(table.userId),
+  };
+});
+
+// ✅ SECURE: OAuth identities linked to a user (GitHub, Google, GitLab)
+export const userIdentities = pgTable('user_identities', {
+  id: serial('id').primaryKey(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  
+  // Provider account
+  provider: varchar('provider', { length: 20 }).notNull(), // 'github' | 'google' | 'gitlab'
+  providerUserId: text('provider_user_id').notNull(),
+  email: text('email'), // Verified email reported by the provider
+  login: text('login'), // Provider username, when it has one
+  
+  // Audit fields
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  lastUsedAt: timestamp('last_used_at'),
+}, (table) => {
+  return {
+    providerAccountIdx: uniqueIndex('user_identities_provider_account_unique').on(table.provider, table.providerUserId),
+    userProviderIdx: uniqueIndex('user_identities_user_provider_unique').on(table.userId, table.provider),
+    userIdx: index('user_identities_user_idx').on(table.userId),
+  };
+});
+
+// ✅ SECURE: Provider accounts a user disconnected - they no longer sign in by matching email or legacy id
+export const unlinkedIdentities = pgTable('unlinked_identities', {
+  id: serial('id').primaryKey(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  provider: varchar('provider', { length: 20 }).notNull(),
+  providerUserId: text('provider_user_id').notNull(),
+  unlinkedAt: timestamp('unlinked_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    providerAccountIdx: uniqueIndex('unlinked_identities_provider_account_unique').on(table.provider, table.providerUserId),
+    userIdx: index('unlinked_identities_user_idx').on(table.userId),
+  };
+});
+
+// ✅ SECURE: OAuth CSRF state shared across server instances (single use, 10 minute TTL)
+export const oauthStates = pgTable('oauth_states', {
+  state: text('state').primaryKey(),
+  provider: varchar('provider', { length: 20 }).notNull(),
+  ipAddress: varchar('ip_address', { length: 45 }),
+  linkUserId: text('link_user_id').references(() => users.id, { onDelete: 'cascade' }), // Set when linking a provider to a signed-in user
+  returnTo: text('return_to'), // Same-site path to land on after login
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+}, (table) => {
+  return {
+    expiresIdx: index('oauth_states_expires_idx').on(table.expiresAt),
+  };
+});
+
+// ✅ SECURE: One-time email sign-in links - stored hashed, short TTL, single use
+export const emailLoginTokens = pgTable('email_login_tokens', {
+  id: serial('id').primaryKey(),
+  email: text('email').notNull(), // Normalized (lowercase) address the link was sent to
+  tokenHash: text('token_hash').notNull(),
+  returnTo: text('return_to'), // Same-site path to land on after login
+  ipAddress: varchar('ip_address', { length: 45 }), // Requester
+  usedIp: varchar('used_ip', { length: 45 }), // Redeemer
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'), // Also set when a newer link supersedes this one
+}, (table) => {
+  return {
+    tokenHashIdx: uniqueIndex('email_login_tokens_token_hash_unique').on(table.tokenHash),
+    emailIdx: index('email_login_tokens_email_idx').on(table.email),
+    expiresIdx: index('email_login_tokens_expires_idx').on(table.expiresAt),
+  };
+});
+
+// ✅ SECURE: Rate limit counters shared across server instances (fixed window per bucket/key)
+export const rateLimitCounters = pgTable('rate_limit_counters', {
+  id: serial('id').primaryKey(),
+  bucket: text('bucket').notNull(), // e.g. 'ai'
+  key: text('key').notNull(), // User ID, email or IP depending on the bucket
+  count: integer('count').default(0).notNull(), // Hits since window_started_at, including refused ones
+  windowStartedAt: timestamp('window_started_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    bucketKeyIdx: uniqueIndex('rate_limit_counters_bucket_key_unique').on(table.bucket, table.key),
+  };
+});
+
+// ✅ SECURE: Admin TOTP second factor - secrets encrypted at rest (AES-256-GCM)
+// admin_id is not a foreign key: the shared password admin signs in as 'admin'
+export const adminMfa = pgTable('admin_mfa', {
+  adminId: text('admin_id').primaryKey(),
+  secretEncrypted: text('secret_encrypted'),
+  pendingSecretEncrypted: text('pending_secret_encrypted'), // Awaiting confirmation with a first code
+  enabledAt: timestamp('enabled_at'),
+  lastUsedStep: integer('last_used_step'), // Last accepted TOTP time step - prevents code replay
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// ✅ SECURE: Failed sign-in count and lock for the shared password admin ('admin'), which has no users row
+// to hold login_attempts and locked_until
+export const adminLoginLockouts = pgTable('admin_login_lockouts', {
+  adminId: text('admin_id').primaryKey(),
+  loginAttempts: integer('login_attempts').default(0).notNull(),
+  lockedUntil: timestamp('locked_until'),
+  updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+// ✅ SECURE: Single-use admin recovery codes (stored hashed)
+export const adminBackupCodes = pgTable('admin_backup_codes', {
+  id: serial('id').primaryKey(),
+  adminId: text('admin_id').notNull(),
+  codeHash: text('code_hash').notNull(),
+  usedAt: timestamp('used_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    adminCodeIdx: uniqueIndex('admin_backup_codes_admin_code_unique').on(table.adminId, table.codeHash),
+  };
+});
+
+// ✅ SECURE: Admin "view as user" sessions - time-boxed, read-only, every start/stop audited
+export const impersonationSessions = pgTable('impersonation_sessions', {
+  id: text('id').primaryKey(), // UUID, carried in the impersonation token
+  adminId: text('admin_id').notNull(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  reason: text('reason').notNull(), // Support ticket or explanation
+  ipAddress: varchar('ip_address', { length: 45 }),
+  startedAt: timestamp('started_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  endedAt: timestamp('ended_at'),
+  endedBy: text('ended_by'),
+}, (table) => {
+  return {
+    adminIdx: index('impersonation_sessions_admin_idx').on(table.adminId),
+    userIdx: index('impersonation_sessions_user_idx').on(table.userId),
+  };
+});
+
+// ✅ SECURE: Single-use invitations that create (or promote) a named admin account
+export const adminInvitations = pgTable('admin_invitations', {
+  id: serial('id').primaryKey(),
+  email: text('email').notNull(), // Normalized (lowercase)
+  tokenHash: text('token_hash').notNull(),
+  invitedBy: text('invited_by').notNull(), // Admin who sent it (not a foreign key, like audit_logs)
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  acceptedAt: timestamp('accepted_at'),
+  acceptedUserId: text('accepted_user_id'),
+  revokedAt: timestamp('revoked_at'), // Also set when a newer invitation for the same email supersedes it
+}, (table) => {
+  return {
+    tokenHashIdx: uniqueIndex('admin_invitations_token_hash_unique').on(table.tokenHash),
+    emailIdx: index('admin_invitations_email_idx').on(table.email),
+  };
+});
+
+// ✅ SECURE: Single-use admin password reset links
+export const passwordResetTokens = pgTable('password_reset_tokens', {
+  id: serial('id').primaryKey(),
+  userId: text('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  tokenHash: text('token_hash').notNull(),
+  ipAddress: varchar('ip_address', { length: 45 }), // Requester
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'), // Also set when a newer link supersedes this one
+}, (table) => {
+  return {
+    tokenHashIdx: uniqueIndex('password_reset_tokens_token_hash_unique').on(table.tokenHash),
+    userIdx: index('password_reset_tokens_user_idx').on(table.userId),
+  };
+});
+
+// ✅ SECURE: Append-only security audit trail (lockouts, unlocks and other account events)
+// actor_id/target_user_id are not foreign keys so events outlive the accounts they mention
+export const auditLogs = pgTable('audit_logs', {
+  id: serial('id').primaryKey(),
+  action: varchar('action', { length: 100 }).notNull(), // e.g. 'account.locked', 'account.unlocked'
+  actorId: text('actor_id'), // Admin who performed the action (null for system events)
+  targetUserId: text('target_user_id'),
+  ipAddress: varchar('ip_address', { length: 45 }),
+  userAgent: text('user_agent'),
+  metadata: jsonb('metadata'),
+  createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => {
+  return {
+    actionIdx: index('audit_logs_action_idx').on(table.action),
+    targetIdx: index('audit_logs_target_user_idx').on(table.targetUserId),
+    createdAtIdx: index('audit_logs_created_at_idx').on(table.createdAt),
+  };
+});
+
 // ✅ SECURE: AI requests table for audit and compliance
 export const aiRequests = pgTable('ai_requests', {
   id: serial('id').primaryKey(),
@@ -301,7 +687,8 @@ export const userFiles = pgTable('user_files', {
 // ✅ ANALYTICS: Search analytics table
 export const searchAnalytics = pgTable('search_analytics', {
   id: serial('id').primaryKey(),
-  searchTerm: text('search_term').notNull(),
+  searchTerm: text('search_term').notNull(), // Normalized: trimmed, lowercase, single-spaced
+  resultCount: integer('result_count'), // 0 = zero-result search
   userId: text('user_id'), // Optional - for logged in users
   timestamp: timestamp('timestamp').defaultNow().notNull(),
   ipAddress: varchar('ip_address', { length: 45 }),
@@ -330,6 +717,12 @@ export const templateViews = pgTable('template_views', {
   };
 });
 
+// ✅ MAINTENANCE: One-time data jobs run at startup - a row means the job finished and is skipped from then on
+export const maintenanceJobs = pgTable('maintenance_jobs', {
+  name: varchar('name', { length: 100 }).primaryKey(),
+  completedAt: timestamp('completed_at').defaultNow().notNull(),
+});
+
 // ✅ SECURE: Define proper relations for type safety
 export const usersRelations = relations(users, ({ many }) => ({
   templates: many(templates),
@@ -337,6 +730,7 @@ export const usersRelations = relations(users, ({ many }) => ({
   downloads: many(downloads),
   reviews: many(reviews),
   sessions: many(sessions),
+  identities: many(userIdentities),
   aiRequests: many(aiRequests),
   userFiles: many(userFiles),
 }));
@@ -401,6 +795,13 @@ export const sessionsRelations = relations(sessions, ({ one }) => ({
   }),
 }));
 
+export const userIdentitiesRelations = relations(userIdentities, ({ one }) => ({
+  user: one(users, {
+    fields: [userIdentities.userId],
+    references: [users.id],
+  }),
+}));
+
 export const aiRequestsRelations = relations(aiRequests, ({ one }) => ({
   user: one(users, {
     fields: [aiRequests.userId],
@@ -451,6 +852,32 @@ export type Review = typeof reviews.$inferSelect;
 export type NewReview = typeof reviews.$inferInsert;
 export type Session = typeof sessions.$inferSelect;
 export type NewSession = typeof sessions.$inferInsert;
+export type OAuthState = typeof oauthStates.$inferSelect;
+export type NewOAuthState = typeof oauthStates.$inferInsert;
+export type RateLimitCounter = typeof rateLimitCounters.$inferSelect;
+export type EmailLoginToken = typeof emailLoginTokens.$inferSelect;
+export type NewEmailLoginToken = typeof emailLoginTokens.$inferInsert;
+export type AdminMfa = typeof adminMfa.$inferSelect;
+export type NewAdminMfa = typeof adminMfa.$inferInsert;
+export type AdminLoginLockout = typeof adminLoginLockouts.$inferSelect;
+export type NewAdminLoginLockout = typeof adminLoginLockouts.$inferInsert;
+export type AdminBackupCode = typeof adminBackupCodes.$inferSelect;
+export type AuditLog = typeof auditLogs.$inferSelect;
+export type NewAuditLog = typeof auditLogs.$inferInsert;
+export type AdminInvitation = typeof adminInvitations.$inferSelect;
+export type NewAdminInvitation = typeof adminInvitations.$inferInsert;
+export type PasswordResetToken = typeof passwordResetTokens.$inferSelect;
+export type NewPasswordResetToken = typeof passwordResetTokens.$inferInsert;
+export type ImpersonationSession = typeof impersonationSessions.$inferSelect;
+export type NewImpersonationSession = typeof impersonationSessions.$inferInsert;
+export type RefreshToken = typeof refreshTokens.$inferSelect;
+export type NewRefreshToken = typeof refreshTokens.$inferInsert;
+export type PersonalAccessToken = typeof personalAccessTokens.$inferSelect;
+export type NewPersonalAccessToken = typeof personalAccessTokens.$inferInsert;
+export type UserIdentity = typeof userIdentities.$inferSelect;
+export type NewUserIdentity = typeof userIdentities.$inferInsert;
+export type UnlinkedIdentity = typeof unlinkedIdentities.$inferSelect;
+export type NewUnlinkedIdentity = typeof unlinkedIdentities.$inferInsert;
 export type AiRequest = typeof aiRequests.$inferSelect;
 export type NewAiRequest = typeof aiRequests.$inferInsert;
 export type UserFile = typeof userFiles.$inferSelect;
@@ -459,6 +886,24 @@ export type SearchAnalytic = typeof searchAnalytics.$inferSelect;
 export type NewSearchAnalytic = typeof searchAnalytics.$inferInsert;
 export type TemplateView = typeof templateViews.$inferSelect;
 export type NewTemplateView = typeof templateViews.$inferInsert;
+export type MaintenanceJob = typeof maintenanceJobs.$inferSelect;
+export type NewMaintenanceJob = typeof maintenanceJobs.$inferInsert;
+export type TemplateSlugHistory = typeof templateSlugHistory.$inferSelect;
+export type NewTemplateSlugHistory = typeof templateSlugHistory.$inferInsert;
+export type TemplateVersion = typeof templateVersions.$inferSelect;
+export type NewTemplateVersion = typeof templateVersions.$inferInsert;
+export type TemplateCategory = typeof templateCategories.$inferSelect;
+export type NewTemplateCategory = typeof templateCategories.$inferInsert;
+export type TemplateTag = typeof templateTags.$inferSelect;
+export type NewTemplateTag = typeof templateTags.$inferInsert;
+export type TemplateCollection = typeof templateCollections.$inferSelect;
+export type NewTemplateCollection = typeof templateCollections.$inferInsert;
+export type TemplateCollectionItem = typeof templateCollectionItems.$inferSelect;
+export type NewTemplateCollectionItem = typeof templateCollectionItems.$inferInsert;
+export type TemplateBundle = typeof templateBundles.$inferSelect;
+export type NewTemplateBundle = typeof templateBundles.$inferInsert;
+export type TemplateBundleItem = typeof templateBundleItems.$inferSelect;
+export type NewTemplateBundleItem = typeof templateBundleItems.$inferInsert;
 
 // ✅ RLS SECURITY POLICIES - PostgreSQL functions and policies
 // These should be applied as a migration after your schema is created
@@ -476,10 +921,31 @@ ALTER TABLE purchases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE downloads ENABLE ROW LEVEL SECURITY;
 ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_identities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE unlinked_identities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE personal_access_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_login_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_mfa ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_login_lockouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_backup_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE impersonation_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ai_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE search_analytics ENABLE ROW LEVEL SECURITY;
 ALTER TABLE template_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE maintenance_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_slug_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_collection_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_bundles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_bundle_items ENABLE ROW LEVEL SECURITY;
 
 -- =====================================================
 -- HELPER FUNCTIONS FOR RLS
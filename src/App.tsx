@@ -8,6 +8,8 @@ import { HomePage } from "./pages/HomePage";
 import { TemplateDetail } from "./pages/TemplateDetail";
 import { TemplateEdit } from "./pages/TemplateEdit";
 import { AdminLogin } from "./pages/AdminLogin";
+import { AdminAcceptInvite } from "./pages/AdminAcceptInvite";
+import { AdminResetPassword } from "./pages/AdminResetPassword";
 import { AdminDashboard } from "./pages/AdminDashboard";
 import { AuthPage } from "./pages/AuthPage";
 import { Dashboard } from "./pages/Dashboard";
@@ -118,6 +120,8 @@ const App = () => (
 
               {/* Admin-Only Routes */}
               <Route path="/admin" element={<AdminLogin />} />
+              <Route path="/admin/accept-invite" element={<AdminAcceptInvite />} />
+              <Route path="/admin/reset-password" element={<AdminResetPassword />} />
               <Route 
                 path="/admin/dashboard" 
                 element={
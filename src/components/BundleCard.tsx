@@ -0,0 +1,108 @@
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Check, Package, ShoppingCart } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { useState } from "react";
+import { toast } from "sonner";
+import authInterceptor from "@/utils/authInterceptor";
+import { API_ENDPOINTS } from "@/config/api";
+
+export interface Bundle {
+ id: number;
+ slug: string;
+ name: string;
+ description: string | null;
+ price: number;
+ listPrice: number;
+ savings: number;
+ checkoutPrice: number; // Bundle price minus the shares of templates the buyer already owns
+ templates: { id: number; name: string; slug?: string; price: number; owned: boolean }[];
+}
+
+const formatPrice = (cents: number) => `$${(cents / 100).toFixed(2)}`;
+
+export const BundleCard = ({ bundle }: { bundle: Bundle }) => {
+ const navigate = useNavigate();
+ const [isPurchasing, setPurchasing] = useState(false);
+ const ownedCount = bundle.templates.filter((template) => template.owned).length;
+ const ownsAll = ownedCount === bundle.templates.length;
+
+ // One Checkout session for every template in the bundle the buyer doesn't own yet
+ const handlePurchase = async () => {
+   setPurchasing(true);
+   try {
+     const response = await authInterceptor.fetch(API_ENDPOINTS.CREATE_CHECKOUT, {
+       method: 'POST',
+       headers: { 'Content-Type': 'application/json' },
+       body: JSON.stringify({ bundleId: bundle.id }),
+       credentials: 'include'
+     });
+     const session = await response.json();
+
+     if (!response.ok) {
+       throw new Error(session.message || session.error || `Failed to create checkout session: ${response.status}`);
+     }
+     if (!session.url) {
+       throw new Error('No checkout URL received from server');
+     }
+     window.location.href = session.url;
+   } catch (error: any) {
+     console.error('Bundle purchase error:', error);
+     toast.error(`Purchase failed: ${error.message}`);
+     setPurchasing(false);
+   }
+ };
+
+ return (
+   <Card className="h-full flex flex-col hover:shadow-lg transition-shadow duration-200 border-teal-200">
+     <CardHeader className="pb-3">
+       <div className="flex items-start justify-between gap-2">
+         <CardTitle className="text-lg font-semibold flex items-center">
+           <Package className="h-5 w-5 mr-2 text-teal-600 flex-shrink-0" />
+           {bundle.name}
+         </CardTitle>
+         {bundle.savings > 0 && (
+           <Badge className="bg-teal-600 text-white whitespace-nowrap">Save {formatPrice(bundle.savings)}</Badge>
+         )}
+       </div>
+       {bundle.description && <p className="text-sm text-gray-600">{bundle.description}</p>}
+     </CardHeader>
+
+     <CardContent className="flex-1 flex flex-col justify-between space-y-4">
+       <ul className="space-y-1 text-sm">
+         {bundle.templates.map((template) => (
+           <li key={template.id} className="flex justify-between gap-2">
+             <button
+               type="button"
+               className="text-left hover:underline line-clamp-1"
+               onClick={() => navigate(`/template/${template.slug || template.id}`)}
+             >
+               {template.name}
+             </button>
+             {template.owned ? (
+               <span className="flex items-center text-green-600 whitespace-nowrap"><Check className="h-4 w-4 mr-1" />Owned</span>
+             ) : (
+               <span className="text-gray-400 line-through whitespace-nowrap">{formatPrice(template.price)}</span>
+             )}
+           </li>
+         ))}
+       </ul>
+
+       <div className="space-y-2">
+         <div className="flex items-baseline justify-between">
+           <span className="text-sm text-gray-500 line-through">{formatPrice(bundle.listPrice)}</span>
+           <span className="text-2xl font-bold">{formatPrice(bundle.checkoutPrice)}</span>
+         </div>
+         {ownedCount > 0 && !ownsAll && (
+           <p className="text-xs text-gray-500">You already own {ownedCount} of these, so they are left out of the price.</p>
+         )}
+         <Button className="w-full" onClick={handlePurchase} disabled={isPurchasing || ownsAll}>
+           <ShoppingCart className="h-4 w-4 mr-2" />
+           {ownsAll ? 'You own this bundle' : isPurchasing ? 'Redirecting to Checkout...' : 'Buy Bundle'}
+         </Button>
+       </div>
+     </CardContent>
+   </Card>
+ );
+};
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Package, Trash2, Save } from 'lucide-react';
+import { toast } from 'sonner';
+import authInterceptor from '@/utils/authInterceptor';
+
+interface AdminBundle {
+  id: number;
+  slug: string;
+  name: string;
+  price: number;
+  listPrice: number;
+  isActive: boolean;
+  available: boolean;
+  salesCount: number;
+  revenue: number;
+  templates: { id: number; name: string; price: number; bundleShare: number }[];
+}
+
+const formatPrice = (cents: number) => `$${(cents / 100).toFixed(2)}`;
+
+// "19.99" -> 1999; the server validates the range
+const toCents = (value: string) => Math.round(parseFloat(value) * 100);
+
+const parseIds = (value: string) => value.split(',').map((id) => id.trim()).filter(Boolean).map(Number);
+
+// Admin card for template bundles: members, price and whether they are on sale
+export function BundleManager() {
+  const [bundles, setBundles] = useState<AdminBundle[]>([]);
+  const [newName, setNewName] = useState('');
+  const [newPrice, setNewPrice] = useState('');
+  const [newMembers, setNewMembers] = useState('');
+  // Comma-separated template IDs and dollar prices being edited, by bundle slug
+  const [memberDrafts, setMemberDrafts] = useState<Record<string, string>>({});
+  const [priceDrafts, setPriceDrafts] = useState<Record<string, string>>({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = async () => {
+    try {
+      const response = await authInterceptor.fetch('/api/admin/bundles');
+      const data = await response.json();
+      if (data.success) {
+        setBundles(data.bundles);
+        setMemberDrafts(Object.fromEntries(data.bundles.map((bundle: AdminBundle) => [
+          bundle.slug,
+          bundle.templates.map((template) => template.id).join(', '),
+        ])));
+        setPriceDrafts(Object.fromEntries(data.bundles.map((bundle: AdminBundle) => [bundle.slug, (bundle.price / 100).toFixed(2)])));
+      }
+    } catch (err) {
+      console.error('Failed to load bundles:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const send = async (url: string, method: string, body: unknown, failureTitle: string, successMessage: string) => {
+    setIsSaving(true);
+    try {
+      const response = await authInterceptor.fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        toast.error(failureTitle, { description: data.error });
+        return false;
+      }
+      toast.success(successMessage);
+      await load();
+      return true;
+    } catch (err: any) {
+      toast.error(failureTitle, { description: err.message });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const bundleUrl = (bundle: AdminBundle) => `/api/admin/bundles/${encodeURIComponent(bundle.slug)}`;
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const ok = await send('/api/admin/bundles', 'POST', {
+      name: newName,
+      price: toCents(newPrice),
+      templateIds: parseIds(newMembers),
+    }, 'Could not create bundle', 'Bundle created');
+    if (ok) {
+      setNewName('');
+      setNewPrice('');
+      setNewMembers('');
+    }
+  };
+
+  const handleSave = (bundle: AdminBundle) =>
+    send(bundleUrl(bundle), 'PATCH', {
+      price: toCents(priceDrafts[bundle.slug] || ''),
+      templateIds: parseIds(memberDrafts[bundle.slug] || ''),
+    }, 'Could not save bundle', `${bundle.name} saved`);
+
+  const handleToggleActive = (bundle: AdminBundle) =>
+    send(bundleUrl(bundle), 'PATCH', { isActive: !bundle.isActive }, 'Could not update bundle',
+      bundle.isActive ? `${bundle.name} is off sale` : `${bundle.name} is on sale`);
+
+  const handleDelete = (bundle: AdminBundle) => {
+    if (!window.confirm(`Delete the "${bundle.name}" bundle? Templates bought through it stay owned.`)) return;
+    return send(bundleUrl(bundle), 'DELETE', undefined, 'Could not delete bundle', 'Bundle deleted');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Package className="w-5 h-5 mr-2" />
+          Bundles
+        </CardTitle>
+        <CardDescription>
+          A bundle sells its templates together for less than their combined price. It is only on sale while every template in it is published and it costs less than they do together.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <ul className="divide-y text-sm">
+          {bundles.map((bundle) => (
+            <li key={bundle.slug} className="py-3 space-y-2">
+              <div className="flex justify-between items-center gap-4">
+                <span>
+                  <span className="font-medium">{bundle.name}</span>
+                  <span className="text-gray-500">
+                    {' '}· {formatPrice(bundle.price)} (list {formatPrice(bundle.listPrice)}) · {bundle.salesCount} sales · {formatPrice(bundle.revenue)}
+                    {!bundle.isActive ? ' · off sale' : !bundle.available && ' · unavailable'}
+                  </span>
+                </span>
+                <div className="flex gap-1 shrink-0">
+                  <Button size="sm" variant="outline" onClick={() => handleToggleActive(bundle)} disabled={isSaving}>
+                    {bundle.isActive ? 'Take off sale' : 'Put on sale'}
+                  </Button>
+                  <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDelete(bundle)} disabled={isSaving}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+              <p className="text-gray-500">
+                {bundle.templates.map((template) => `${template.name} (${formatPrice(template.bundleShare)})`).join(' · ')}
+              </p>
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Template IDs in display order, e.g. 12, 4, 9"
+                  value={memberDrafts[bundle.slug] ?? ''}
+                  onChange={(e) => setMemberDrafts((drafts) => ({ ...drafts, [bundle.slug]: e.target.value }))}
+                />
+                <Input
+                  className="w-32"
+                  type="number"
+                  min={0.5}
+                  step={0.01}
+                  placeholder="Price ($)"
+                  value={priceDrafts[bundle.slug] ?? ''}
+                  onChange={(e) => setPriceDrafts((drafts) => ({ ...drafts, [bundle.slug]: e.target.value }))}
+                />
+                <Button size="sm" variant="outline" onClick={() => handleSave(bundle)} disabled={isSaving}>
+                  <Save className="w-4 h-4 mr-1" />
+                  Save
+                </Button>
+              </div>
+            </li>
+          ))}
+          {bundles.length === 0 && <li className="py-2 text-gray-500">No bundles yet.</li>}
+        </ul>
+        <form onSubmit={handleCreate} className="grid gap-2 sm:grid-cols-4">
+          <Input placeholder="Bundle name" value={newName} onChange={(e) => setNewName(e.target.value)} maxLength={100} />
+          <Input placeholder="Template IDs, e.g. 12, 4" value={newMembers} onChange={(e) => setNewMembers(e.target.value)} />
+          <Input type="number" min={0.5} step={0.01} placeholder="Price ($)" value={newPrice} onChange={(e) => setNewPrice(e.target.value)} />
+          <Button type="submit" disabled={!newName.trim() || !newPrice || !newMembers.trim() || isSaving}>Create</Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
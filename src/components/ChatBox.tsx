@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import TemplateUpload from './TemplateUpload';
 import ChatInterface from './ChatInterface';
 import { ValidationResult } from '../services/dhcValidator';
+import authInterceptor from '../utils/authInterceptor';
 
 export default function ChatBox() {
   // State to hold the current input from the user
@@ -38,7 +39,7 @@ export default function ChatBox() {
 
     try {
       // Generate setup instructions for the validated template
-      const response = await fetch('/api/generate-setup-instructions', {
+      const response = await authInterceptor.fetch('/api/generate-setup-instructions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -110,7 +111,7 @@ export default function ChatBox() {
       }
 
       // Make a POST request to the backend API
-      const res = await fetch('/api/ask-ai', {
+      const res = await authInterceptor.fetch('/api/ask-ai', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(requestBody),
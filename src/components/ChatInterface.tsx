@@ -3,6 +3,7 @@ import { X, Send, Bot, User, FileText, ArrowLeft } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { ValidationResult } from '../services/dhcValidator';
+import authInterceptor from '../utils/authInterceptor';
 
 interface ChatInterfaceProps {
   validatedTemplate: ValidationResult;
@@ -62,7 +63,7 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
     setLoading(true);
 
     try {
-      const response = await fetch('/api/ask-ai', {
+      const response = await authInterceptor.fetch('/api/ask-ai', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Sparkles, Trash2, Save } from 'lucide-react';
+import { toast } from 'sonner';
+import authInterceptor from '@/utils/authInterceptor';
+
+interface FeaturedTemplate {
+  id: number;
+  name: string;
+  status: string;
+  featuredFrom: string | null;
+  featuredUntil: string | null;
+  order: number | null;
+  state: 'scheduled' | 'active' | 'expired';
+  catalogVisible: boolean;
+}
+
+interface AdminCollection {
+  slug: string;
+  name: string;
+  description: string | null;
+  displayOrder: number;
+  templates: { id: number; name: string; status: string; catalogVisible: boolean }[];
+}
+
+// datetime-local inputs are in local time without a zone; the server wants ISO 8601
+const toIsoOrNull = (value: string) => (value ? new Date(value).toISOString() : null);
+
+// Admin card for featured templates and homepage collections
+export function CurationManager() {
+  const [featured, setFeatured] = useState<FeaturedTemplate[]>([]);
+  const [collections, setCollections] = useState<AdminCollection[]>([]);
+  const [featureId, setFeatureId] = useState('');
+  const [featureFrom, setFeatureFrom] = useState('');
+  const [featureUntil, setFeatureUntil] = useState('');
+  const [featureOrder, setFeatureOrder] = useState('');
+  const [newCollection, setNewCollection] = useState('');
+  // Comma-separated template IDs being edited, by collection slug
+  const [memberDrafts, setMemberDrafts] = useState<Record<string, string>>({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = async () => {
+    try {
+      const [featuredResponse, collectionResponse] = await Promise.all([
+        authInterceptor.fetch('/api/admin/featured'),
+        authInterceptor.fetch('/api/admin/collections'),
+      ]);
+      const featuredData = await featuredResponse.json();
+      const collectionData = await collectionResponse.json();
+      if (featuredData.success) setFeatured(featuredData.templates);
+      if (collectionData.success) {
+        setCollections(collectionData.collections);
+        setMemberDrafts(Object.fromEntries(collectionData.collections.map((collection: AdminCollection) => [
+          collection.slug,
+          collection.templates.map((template) => template.id).join(', '),
+        ])));
+      }
+    } catch (err) {
+      console.error('Failed to load curation:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const send = async (url: string, method: string, body: unknown, failureTitle: string, successMessage: string) => {
+    setIsSaving(true);
+    try {
+      const response = await authInterceptor.fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        toast.error(failureTitle, { description: data.error });
+        return false;
+      }
+      toast.success(successMessage);
+      await load();
+      return true;
+    } catch (err: any) {
+      toast.error(failureTitle, { description: err.message });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleFeature = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const ok = await send(`/api/admin/templates/${featureId}/feature`, 'PUT', {
+      featuredFrom: toIsoOrNull(featureFrom),
+      featuredUntil: toIsoOrNull(featureUntil),
+      order: featureOrder === '' ? null : Number(featureOrder),
+    }, 'Could not feature template', 'Template featured');
+    if (ok) {
+      setFeatureId('');
+      setFeatureFrom('');
+      setFeatureUntil('');
+      setFeatureOrder('');
+    }
+  };
+
+  const handleUnfeature = (template: FeaturedTemplate) =>
+    send(`/api/admin/templates/${template.id}/feature`, 'DELETE', undefined, 'Could not unfeature template', `"${template.name}" is no longer featured`);
+
+  const handleCreateCollection = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const ok = await send('/api/admin/collections', 'POST', { name: newCollection }, 'Could not create collection', 'Collection created');
+    if (ok) setNewCollection('');
+  };
+
+  const handleSaveMembers = (collection: AdminCollection) => {
+    const templateIds = (memberDrafts[collection.slug] || '').split(',').map((id) => id.trim()).filter(Boolean).map(Number);
+    return send(`/api/admin/collections/${encodeURIComponent(collection.slug)}/templates`, 'PUT', { templateIds }, 'Could not save collection', `${collection.name} saved`);
+  };
+
+  const handleDeleteCollection = (collection: AdminCollection) => {
+    if (!window.confirm(`Delete the "${collection.name}" collection? Its templates are not affected.`)) return;
+    return send(`/api/admin/collections/${encodeURIComponent(collection.slug)}`, 'DELETE', undefined, 'Could not delete collection', 'Collection deleted');
+  };
+
+  const formatWindow = (template: FeaturedTemplate) => {
+    const from = template.featuredFrom ? new Date(template.featuredFrom).toLocaleString() : 'now';
+    const until = template.featuredUntil ? new Date(template.featuredUntil).toLocaleString() : 'no end';
+    return `${from} → ${until}`;
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Sparkles className="w-5 h-5 mr-2" />
+          Homepage Curation
+        </CardTitle>
+        <CardDescription>
+          Featured templates and collections appear on the homepage while they are published.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-3">
+          <h3 className="font-medium">Featured</h3>
+          <ul className="divide-y text-sm">
+            {featured.map((template) => (
+              <li key={template.id} className="py-2 flex justify-between items-center gap-4">
+                <span>
+                  <span className="font-medium">{template.name}</span>
+                  <span className="text-gray-500">
+                    {' '}· #{template.id} · {template.state}{template.order !== null ? ` · order ${template.order}` : ''} · {formatWindow(template)}
+                    {!template.catalogVisible && ' · not in catalog'}
+                  </span>
+                </span>
+                <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleUnfeature(template)} disabled={isSaving}>
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </li>
+            ))}
+            {featured.length === 0 && <li className="py-2 text-gray-500">No featured templates.</li>}
+          </ul>
+          <form onSubmit={handleFeature} className="grid gap-2 sm:grid-cols-5">
+            <Input placeholder="Template ID" value={featureId} onChange={(e) => setFeatureId(e.target.value.replace(/\D/g, ''))} />
+            <Input type="datetime-local" title="Featured from (optional)" value={featureFrom} onChange={(e) => setFeatureFrom(e.target.value)} />
+            <Input type="datetime-local" title="Featured until (optional)" value={featureUntil} onChange={(e) => setFeatureUntil(e.target.value)} />
+            <Input type="number" min={0} placeholder="Order (optional)" value={featureOrder} onChange={(e) => setFeatureOrder(e.target.value)} />
+            <Button type="submit" disabled={!featureId || isSaving}>Feature</Button>
+          </form>
+        </div>
+
+        <div className="space-y-3">
+          <h3 className="font-medium">Collections</h3>
+          <ul className="divide-y text-sm">
+            {collections.map((collection) => (
+              <li key={collection.slug} className="py-3 space-y-2">
+                <div className="flex justify-between items-center gap-4">
+                  <span>
+                    <span className="font-medium">{collection.name}</span>
+                    <span className="text-gray-500"> · /{collection.slug} · {collection.templates.length} templates</span>
+                  </span>
+                  <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDeleteCollection(collection)} disabled={isSaving}>
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+                {collection.templates.length > 0 && (
+                  <p className="text-gray-500">
+                    {collection.templates.map((template) => `${template.name}${template.catalogVisible ? '' : ' (hidden)'}`).join(' · ')}
+                  </p>
+                )}
+                <div className="flex gap-2">
+                  <Input
+                    placeholder="Template IDs in display order, e.g. 12, 4, 9"
+                    value={memberDrafts[collection.slug] ?? ''}
+                    onChange={(e) => setMemberDrafts((drafts) => ({ ...drafts, [collection.slug]: e.target.value }))}
+                  />
+                  <Button size="sm" variant="outline" onClick={() => handleSaveMembers(collection)} disabled={isSaving}>
+                    <Save className="w-4 h-4 mr-1" />
+                    Save
+                  </Button>
+                </div>
+              </li>
+            ))}
+            {collections.length === 0 && <li className="py-2 text-gray-500">No collections yet.</li>}
+          </ul>
+          <form onSubmit={handleCreateCollection} className="flex gap-2">
+            <Input placeholder="New collection name, e.g. AI agents" value={newCollection} onChange={(e) => setNewCollection(e.target.value)} maxLength={100} />
+            <Button type="submit" disabled={!newCollection.trim() || isSaving}>Create</Button>
+          </form>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Tags, Trash2, Pencil, Merge } from 'lucide-react';
+import { toast } from 'sonner';
+import authInterceptor from '@/utils/authInterceptor';
+
+interface Category {
+  slug: string;
+  name: string;
+  description: string | null;
+  templateCount: number;
+}
+
+interface Tag {
+  name: string;
+  templateCount: number;
+}
+
+// Admin card for the category list and tag vocabulary. Counts are catalog (published) templates.
+export function TaxonomyManager() {
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [tags, setTags] = useState<Tag[]>([]);
+  const [newCategory, setNewCategory] = useState('');
+  const [reassigning, setReassigning] = useState<{ slug: string; templateCount: number } | null>(null);
+  const [reassignTo, setReassignTo] = useState('');
+  const [selectedTags, setSelectedTags] = useState<string[]>([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = async () => {
+    try {
+      const [categoryResponse, tagResponse] = await Promise.all([
+        authInterceptor.fetch('/api/categories'),
+        authInterceptor.fetch('/api/tags'),
+      ]);
+      const categoryData = await categoryResponse.json();
+      const tagData = await tagResponse.json();
+      if (categoryData.success) setCategories(categoryData.categories);
+      if (tagData.success) setTags(tagData.tags);
+    } catch (err) {
+      console.error('Failed to load categories and tags:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Sends a change and reloads both lists. Returns the response body, or null when the request failed.
+  const send = async (url: string, method: string, body?: unknown, successMessage?: string) => {
+    setIsSaving(true);
+    try {
+      const response = await authInterceptor.fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        return { ...data, success: false };
+      }
+      if (successMessage) {
+        toast.success(successMessage, data.templatesUpdated ? { description: `${data.templatesUpdated} templates updated` } : undefined);
+      }
+      await load();
+      return data;
+    } catch (err: any) {
+      toast.error('Request failed', { description: err.message });
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddCategory = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await send('/api/admin/categories', 'POST', { name: newCategory }, 'Category added');
+    if (data?.success) {
+      setNewCategory('');
+    } else if (data) {
+      toast.error('Could not add category', { description: data.error });
+    }
+  };
+
+  const handleRenameCategory = async (category: Category) => {
+    const name = window.prompt('Category name', category.name);
+    if (!name || name === category.name) return;
+    const data = await send(`/api/admin/categories/${encodeURIComponent(category.slug)}`, 'PATCH', { name }, 'Category renamed');
+    if (data && !data.success) {
+      toast.error('Could not rename category', { description: data.error });
+    }
+  };
+
+  const handleDeleteCategory = async (slug: string, target?: string) => {
+    const query = target ? `?reassignTo=${encodeURIComponent(target)}` : '';
+    const data = await send(`/api/admin/categories/${encodeURIComponent(slug)}${query}`, 'DELETE', undefined, 'Category deleted');
+    if (data?.success) {
+      setReassigning(null);
+    } else if (data?.code === 'CATEGORY_IN_USE') {
+      setReassigning({ slug, templateCount: data.templateCount });
+      setReassignTo('');
+    } else if (data) {
+      toast.error('Could not delete category', { description: data.error });
+    }
+  };
+
+  const toggleTag = (name: string) => {
+    setSelectedTags((selected) => selected.includes(name) ? selected.filter((tag) => tag !== name) : [...selected, name]);
+  };
+
+  const handleRenameTag = async (tag: string) => {
+    const name = window.prompt('Rename tag', tag);
+    if (!name || name === tag) return;
+    const data = await send(`/api/admin/tags/${encodeURIComponent(tag)}`, 'PATCH', { name }, 'Tag renamed');
+    if (data && !data.success) {
+      toast.error('Could not rename tag', { description: data.error });
+    }
+  };
+
+  const handleMergeTags = async () => {
+    const data = await send('/api/admin/tags/merge', 'POST', { sources: selectedTags, target: mergeTarget }, 'Tags merged');
+    if (data?.success) {
+      setSelectedTags([]);
+      setMergeTarget('');
+    } else if (data) {
+      toast.error('Could not merge tags', { description: data.error });
+    }
+  };
+
+  const handleDeleteTag = async (tag: string) => {
+    if (!window.confirm(`Delete "${tag}" and remove it from every template?`)) return;
+    const data = await send(`/api/admin/tags/${encodeURIComponent(tag)}`, 'DELETE', undefined, 'Tag deleted');
+    if (data?.success) {
+      setSelectedTags((selected) => selected.filter((name) => name !== tag));
+    } else if (data) {
+      toast.error('Could not delete tag', { description: data.error });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Tags className="w-5 h-5 mr-2" />
+          Categories & Tags
+        </CardTitle>
+        <CardDescription>
+          Renaming, merging or deleting updates every template that uses the category or tag. Counts are published templates.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-3">
+          <h3 className="font-medium">Categories</h3>
+          <ul className="divide-y text-sm">
+            {categories.map((category) => (
+              <li key={category.slug} className="py-2 space-y-2">
+                <div className="flex justify-between items-center gap-4">
+                  <span>
+                    <span className="font-medium">{category.name}</span>
+                    <span className="text-gray-500"> · {category.slug} · {category.templateCount} templates</span>
+                  </span>
+                  <div className="flex gap-1 shrink-0">
+                    <Button size="sm" variant="ghost" onClick={() => handleRenameCategory(category)} disabled={isSaving}>
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" className="text-red-600" onClick={() => handleDeleteCategory(category.slug)} disabled={isSaving}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </div>
+                {reassigning?.slug === category.slug && (
+                  <div className="flex gap-2 items-center">
+                    <span className="text-gray-600 shrink-0">Move {reassigning.templateCount} templates to</span>
+                    <select
+                      className="border rounded-md px-2 py-1 flex-1"
+                      value={reassignTo}
+                      onChange={(e) => setReassignTo(e.target.value)}
+                    >
+                      <option value="">Choose a category</option>
+                      {categories.filter((option) => option.slug !== category.slug).map((option) => (
+                        <option key={option.slug} value={option.slug}>{option.name}</option>
+                      ))}
+                    </select>
+                    <Button size="sm" variant="destructive" onClick={() => handleDeleteCategory(category.slug, reassignTo)} disabled={!reassignTo || isSaving}>
+                      Move & Delete
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => setReassigning(null)}>
+                      Cancel
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+            {categories.length === 0 && <li className="py-2 text-gray-500">No categories yet.</li>}
+          </ul>
+          <form onSubmit={handleAddCategory} className="flex gap-2">
+            <Input placeholder="New category name" value={newCategory} onChange={(e) => setNewCategory(e.target.value)} maxLength={100} />
+            <Button type="submit" disabled={!newCategory.trim() || isSaving}>Add</Button>
+          </form>
+        </div>
+
+        <div className="space-y-3">
+          <h3 className="font-medium">Tags</h3>
+          <div className="flex flex-wrap gap-2 text-sm">
+            {tags.map((tag) => (
+              <span
+                key={tag.name}
+                className={`inline-flex items-center gap-1 rounded-full border px-3 py-1 ${selectedTags.includes(tag.name) ? 'bg-blue-50 border-blue-300' : ''}`}
+              >
+                <button type="button" onClick={() => toggleTag(tag.name)} title="Select for merging">
+                  {tag.name} <span className="text-gray-500">({tag.templateCount})</span>
+                </button>
+                <button type="button" onClick={() => handleRenameTag(tag.name)} disabled={isSaving} title="Rename">
+                  <Pencil className="w-3 h-3" />
+                </button>
+                <button type="button" className="text-red-600" onClick={() => handleDeleteTag(tag.name)} disabled={isSaving} title="Delete">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+            {tags.length === 0 && <span className="text-gray-500">No tags yet.</span>}
+          </div>
+          {selectedTags.length > 0 && (
+            <div className="flex gap-2 items-center">
+              <Input
+                placeholder={`Merge ${selectedTags.length} selected into...`}
+                value={mergeTarget}
+                onChange={(e) => setMergeTarget(e.target.value)}
+                maxLength={50}
+              />
+              <Button onClick={handleMergeTags} disabled={!mergeTarget.trim() || isSaving}>
+                <Merge className="w-4 h-4 mr-2" />
+                Merge
+              </Button>
+              <Button variant="ghost" onClick={() => setSelectedTags([])}>
+                Clear
+              </Button>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
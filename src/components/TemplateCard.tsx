@@ -6,12 +6,15 @@ import { useNavigate } from "react-router-dom";
 import { getDeterministicRandom } from "@/lib/utils";
 import { useState } from "react";
 import { toast } from "sonner";
+import authInterceptor from "@/utils/authInterceptor";
+import { API_ENDPOINTS } from "@/config/api";
 
 interface Template {
  id: number;
  name: string;
  description: string;
  price: number;
+ slug?: string;
  imageUrl?: string;
  image_url?: string; // ✅ ADD: Backend field name
  workflowJson?: any;
@@ -21,6 +24,9 @@ interface Template {
  downloads?: number;
  downloadCount?: number;
  purchased?: boolean;
+ currentVersion?: string | null;
+ downloadedVersion?: string | null;
+ updateAvailable?: boolean;
  _rating?: number;
  _reviewCount?: number;
  _tags?: string[];
@@ -37,6 +43,8 @@ export const TemplateCard = ({ template, onPreview, onTemplateRemoved }: Templat
  const [isDownloading, setIsDownloading] = useState(false);
  const [isRemoving, setIsRemoving] = useState(false);
  const [isPurchasing, setPurchasing] = useState(false);
+ // Cleared once the latest version has been downloaded
+ const [updateAvailable, setUpdateAvailable] = useState(Boolean(template.purchased && template.updateAvailable));
  
  // ✅ MAIN FIX: Handle both field name formats for image
  const imageUrl = template.imageUrl || template.image_url || null;
@@ -52,7 +60,7 @@ export const TemplateCard = ({ template, onPreview, onTemplateRemoved }: Templat
 
  const handlePreview = () => {
    // Navigate to the template detail page
-   navigate(`/template/${template.id}`);
+   navigate(`/template/${template.slug || template.id}`);
  };
 
 // HandlePurchase function:
@@ -63,7 +71,7 @@ const handlePurchase = async () => {
     console.log(`Initiating purchase for template ${template.id}`);
     
     // Use your existing server endpoint
-    const response = await fetch('/api/stripe/create-checkout-session', {
+    const response = await authInterceptor.fetch('/api/stripe/create-checkout-session', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ templateId: template.id }),
@@ -115,7 +123,7 @@ const handlePurchase = async () => {
 
    setIsDownloading(true);
    try {
-     const downloadUrl = `/api/templates/${template.id}/download`;
+     const downloadUrl = API_ENDPOINTS.TEMPLATE_DOWNLOAD(template.id);
      console.log('🐛 DEBUG: Download URL:', downloadUrl);
 
      const response = await fetch(downloadUrl, {
@@ -154,6 +162,7 @@ const handlePurchase = async () => {
      window.URL.revokeObjectURL(url);
      document.body.removeChild(a);
 
+     setUpdateAvailable(false);
      console.log('✅ Template downloaded:', template.name);
    } catch (error: any) {
      console.error('Download error:', error);
@@ -173,7 +182,7 @@ const handlePurchase = async () => {
    
    setIsRemoving(true);
    try {
-     const response = await fetch(`/api/user/purchases/template/${template.id}`, {
+     const response = await authInterceptor.fetch(`/api/user/purchases/template/${template.id}`, {
        method: 'DELETE',
        credentials: 'include',
      });
@@ -229,6 +238,15 @@ const handlePurchase = async () => {
          </div>
        </div>
        
+       {/* Update Badge - a newer version than the one last downloaded */}
+       {updateAvailable && (
+         <div className="absolute top-3 left-3 z-10">
+           <Badge className="bg-green-600 text-white font-semibold">
+             Update available{template.currentVersion ? ` · v${template.currentVersion}` : ''}
+           </Badge>
+         </div>
+       )}
+
        {/* Price Badge */}
        <div className="absolute top-3 right-3 z-10">
          <Badge variant="secondary" className="bg-white/90 text-gray-800 font-semibold">
@@ -289,7 +307,8 @@ const handlePurchase = async () => {
            ) : template.purchased ? (
              <>
                <Download className="h-4 w-4 mr-2" />
-               Download
+               {updateAvailable ? 'Download Update' : 'Download'}
+               {template.currentVersion && <span className="ml-1 text-xs text-gray-500">v{template.currentVersion}</span>}
              </>
            ) : (
              <>
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useEffect, useContext } from "react";
 import { apiCall, API_ENDPOINTS } from '@/config/api.ts';
+import authInterceptor from '@/utils/authInterceptor';
 
 type User = {
   id: string;
@@ -84,8 +85,10 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     if (urlParams.get('success') === 'true') {
       console.log('OAuth success detected! Checking session...');
       
-      // Clean URL first
-      window.history.replaceState({}, document.title, window.location.pathname);
+      // Clean URL first - drop only the OAuth params so a returnTo page keeps its own query
+      ['success', 'userId', 'userName', 'userEmail'].forEach(param => urlParams.delete(param));
+      const remainingQuery = urlParams.toString();
+      window.history.replaceState({}, document.title, window.location.pathname + (remainingQuery ? `?${remainingQuery}` : ''));
       
       // Wait for session to be fully established
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -142,6 +145,19 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     initAuth();
   }, []);
 
+  // Keep tabs in sync: a logout elsewhere signs this tab out, a login elsewhere re-checks the session
+  useEffect(() => {
+    return authInterceptor.subscribe(({ type, remote }) => {
+      if (!remote) return;
+
+      if (type === 'logout') {
+        clearAuth();
+      } else if (type === 'login') {
+        checkSession();
+      }
+    });
+  }, []);
+
   // Login function - session cookies handled by browser automatically
   const login = (user: User) => {
     console.log('Login for:', user.email || user.username);
@@ -189,8 +205,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       console.error('Backend logout error:', error);
     }
 
-    // Clear local state
+    // Clear local state (and tokens in every other open tab)
     clearAuth();
+    authInterceptor.notifyLogout();
     
     console.log('Logout complete, redirecting...');
     window.location.href = '/';
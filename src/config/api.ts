@@ -14,17 +14,51 @@ if (!API_BASE_URL) {
   throw new Error('API_BASE_URL is not configured');
 }
 
+// Where users land when their session can no longer be refreshed (VITE_LOGIN_URL overrides per environment)
+export const LOGIN_URL = import.meta.env.VITE_LOGIN_URL || `${API_BASE_URL}/auth/github`;
+
+// Append the page to come back to after signing in - the OAuth callback honors same-site paths only
+export const withReturnTo = (url: string, returnTo: string): string => {
+  const target = new URL(url, window.location.origin);
+  target.searchParams.set('returnTo', returnTo);
+  return target.toString();
+};
+
+export const buildLoginUrl = (
+  returnTo: string = window.location.pathname + window.location.search
+): string => withReturnTo(LOGIN_URL, returnTo);
+
 // API endpoints
 export const API_ENDPOINTS = {
   // Auth endpoints - Fixed to match authRoutes.ts
   AUTH_SESSION: `${API_BASE_URL}/auth/profile/session`,
   AUTH_LOGOUT: `${API_BASE_URL}/auth/logout`,
   AUTH_GITHUB: `${API_BASE_URL}/auth/github`,
-  AUTH_ADMIN_LOGIN: `${API_BASE_URL}/auth/admin/login`,
+  AUTH_GOOGLE: `${API_BASE_URL}/auth/google`,
+  AUTH_GITLAB: `${API_BASE_URL}/auth/gitlab`,
+  AUTH_EMAIL_START: `${API_BASE_URL}/auth/email/start`,
+  CONNECTED_ACCOUNTS: `${API_BASE_URL}/api/user/connected-accounts`,
+  USER_SESSIONS: `${API_BASE_URL}/api/user/sessions`,
+  USER_DATA_EXPORT: `${API_BASE_URL}/api/user/export`,
+  USER_ACCOUNT: `${API_BASE_URL}/api/user/account`,
+  AUTH_ADMIN_LOGIN: `${API_BASE_URL}/api/admin/login`,
+  ADMIN_PASSWORD_RESET: `${API_BASE_URL}/api/admin/password-reset`,
+  ADMIN_PASSWORD_RESET_CONFIRM: `${API_BASE_URL}/api/admin/password-reset/confirm`,
+  ADMIN_INVITATIONS: `${API_BASE_URL}/api/admin/invitations`,
+  ADMIN_INVITATION_LOOKUP: `${API_BASE_URL}/api/admin/invitations/lookup`,
+  ADMIN_INVITATION_ACCEPT: `${API_BASE_URL}/api/admin/invitations/accept`,
+  ADMIN_ACCOUNTS: `${API_BASE_URL}/api/admin/admins`,
   
   // Template endpoints
   TEMPLATES: `${API_BASE_URL}/api/templates`,
+  SEARCH_RECORD: `${API_BASE_URL}/api/search/record`,
+  CATEGORIES: `${API_BASE_URL}/api/categories`,
   TEMPLATE_BY_ID: (id: string) => `${API_BASE_URL}/api/templates/${id}`,
+  TEMPLATE_VERSIONS: (id: string | number) => `${API_BASE_URL}/api/templates/${id}/versions`,
+  TEMPLATE_DOWNLOAD: (id: string | number, version?: string) =>
+    `${API_BASE_URL}/api/templates/${id}/download${version ? `?version=${encodeURIComponent(version)}` : ''}`,
+  COLLECTIONS: `${API_BASE_URL}/api/collections`,
+  BUNDLES: `${API_BASE_URL}/api/bundles`,
   ASK_AI: `${API_BASE_URL}/api/ask-ai`,
   RECOMMENDATIONS: `${API_BASE_URL}/api/recommendations`,
   
@@ -35,6 +69,21 @@ export const API_ENDPOINTS = {
   CREATE_CHECKOUT: `${API_BASE_URL}/api/stripe/create-checkout-session`,
 };
 
+// ✅ SECURITY: CSRF token issued with the session cookie - required on cookie-authenticated mutations
+export const CSRF_COOKIE_NAME = 'devhub_csrf';
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const getCsrfToken = (): string | null => {
+  const match = document.cookie.match(new RegExp(`(?:^|; )${CSRF_COOKIE_NAME}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+export const csrfHeaders = (method: string = 'GET'): Record<string, string> => {
+  if (CSRF_SAFE_METHODS.includes(method.toUpperCase())) return {};
+  const token = getCsrfToken();
+  return token ? { 'X-CSRF-Token': token } : {};
+};
+
 // Helper function for making API calls with consistent options
 export const apiCall = async (endpoint: string, options: RequestInit = {}) => {
   // Handle both relative and absolute URLs
@@ -42,13 +91,17 @@ export const apiCall = async (endpoint: string, options: RequestInit = {}) => {
   
   const defaultOptions: RequestInit = {
     credentials: 'include',
+  };
+
+  return fetch(url, {
+    ...defaultOptions,
+    ...options,
     headers: {
       'Content-Type': 'application/json',
+      ...csrfHeaders(options.method),
       ...options.headers,
     },
-  };
-
-  return fetch(url, { ...defaultOptions, ...options });
+  });
 };
 
 // ✅ SECURITY: Only log in development
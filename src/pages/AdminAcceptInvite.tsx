@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Shield, AlertCircle, CheckCircle } from 'lucide-react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { API_ENDPOINTS, apiCall } from '../config/api';
+
+const MIN_PASSWORD_LENGTH = 12;
+
+export function AdminAcceptInvite() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [invitedEmail, setInvitedEmail] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [accepted, setAccepted] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token) {
+      setError('This invitation link is incomplete.');
+      return;
+    }
+
+    apiCall(`${API_ENDPOINTS.ADMIN_INVITATION_LOOKUP}?token=${encodeURIComponent(token)}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.ok && data.success) {
+          setInvitedEmail(data.invitation.email);
+        } else {
+          setError(data.error || 'This invitation has expired or was already used.');
+        }
+      })
+      .catch(() => setError('Could not load the invitation. Please try again.'));
+  }, [token]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await apiCall(API_ENDPOINTS.ADMIN_INVITATION_ACCEPT, {
+        method: 'POST',
+        body: JSON.stringify({ token, name, password }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setAccepted(true);
+      } else {
+        setError(data.error || 'Could not accept the invitation.');
+      }
+    } catch (err) {
+      console.error('Accept invitation error:', err);
+      setError('An error occurred. Please check the server and try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md border-slate-700 bg-slate-800/50 backdrop-blur">
+        <CardHeader className="text-center">
+          <CardTitle className="text-white flex items-center justify-center">
+            <Shield className="h-5 w-5 mr-2 text-purple-400" />
+            Set Up Your Admin Account
+          </CardTitle>
+          <CardDescription className="text-slate-300">
+            {invitedEmail ? `Invitation for ${invitedEmail}` : 'Choose a name and password to finish joining.'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {accepted ? (
+            <div className="space-y-4 text-center">
+              <CheckCircle className="h-10 w-10 text-green-400 mx-auto" />
+              <p className="text-slate-200">Your admin account is ready.</p>
+              <Button onClick={() => navigate('/admin')} className="w-full bg-purple-600 hover:bg-purple-700 text-white">
+                Go to Admin Login
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Input
+                placeholder="Your name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="bg-slate-700 border-slate-600 text-white placeholder:text-slate-400"
+              />
+              <Input
+                type="password"
+                autoComplete="new-password"
+                placeholder={`Password (${MIN_PASSWORD_LENGTH}+ characters)`}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="bg-slate-700 border-slate-600 text-white placeholder:text-slate-400"
+                required
+              />
+              <Input
+                type="password"
+                autoComplete="new-password"
+                placeholder="Confirm password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="bg-slate-700 border-slate-600 text-white placeholder:text-slate-400"
+                required
+              />
+
+              {error && (
+                <div className="flex items-start space-x-2 p-3 bg-red-900/20 border border-red-700/50 rounded-lg">
+                  <AlertCircle className="h-4 w-4 text-red-400 mt-0.5 flex-shrink-0" />
+                  <p className="text-sm text-red-300">{error}</p>
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                disabled={isLoading || !invitedEmail}
+                className="w-full bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white"
+              >
+                {isLoading ? 'Creating Account...' : 'Create Admin Account'}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
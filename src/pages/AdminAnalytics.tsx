@@ -10,6 +10,7 @@ interface AnalyticsData {
   popularByPurchases: any[];
   categoryStats: any[];
   topSearchTerms: any[];
+  zeroResultSearchTerms?: any[];
   revenueStats: {
     totalRevenue: number;
     totalSales: number;
@@ -184,7 +185,9 @@ export default function Analytics() {
                   <div key={index} className="flex justify-between items-center p-2 rounded hover:bg-gray-50">
                     <div>
                       <p className="font-medium">{term.searchTerm}</p>
-                      <p className="text-sm text-gray-600">Search term</p>
+                      <p className="text-sm text-gray-600">
+                        {term.zeroResultCount > 0 ? `${term.zeroResultCount} with no results` : 'Search term'}
+                      </p>
                     </div>
                     <div className="text-right">
                       <p className="font-semibold">{term.searchCount}</p>
@@ -196,6 +199,19 @@ export default function Analytics() {
                 <p className="text-gray-500 text-center py-4">No search data yet</p>
               )}
             </div>
+            {analytics.zeroResultSearchTerms && analytics.zeroResultSearchTerms.length > 0 && (
+              <div className="mt-6">
+                <p className="text-sm font-semibold text-gray-700 mb-2">Searches with no results</p>
+                <div className="space-y-1">
+                  {analytics.zeroResultSearchTerms.map((term, index) => (
+                    <div key={index} className="flex justify-between text-sm">
+                      <span className="text-red-600">{term.searchTerm}</span>
+                      <span className="text-gray-600">{term.searchCount}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </CardContent>
         </Card>
 
@@ -264,12 +280,14 @@ export default function Analytics() {
               {analytics.categoryStats.map((category, index) => (
                 <div key={index} className="flex justify-between items-center p-3 border rounded-lg">
                   <div>
-                    <p className="font-medium capitalize">{category.category || 'Uncategorized'}</p>
-                    <p className="text-sm text-gray-600">{category.templateCount} templates</p>
+                    <p className="font-medium capitalize">{category.categoryName || 'Uncategorized'}</p>
+                    <p className="text-sm text-gray-600">{category.templateCount} templates · {category.totalSales} sales · ${(category.totalRevenue / 100).toFixed(2)}</p>
                   </div>
                   <div className="text-right">
                     <p className="font-semibold">{category.totalDownloads} downloads</p>
-                    <p className="text-sm text-gray-600">Avg rating: {category.avgRating ? Number(category.avgRating).toFixed(1) : 'N/A'}</p>
+                    <p className="text-sm text-gray-600">
+                      Avg rating: {category.avgRating ? `${Number(category.avgRating).toFixed(1)} (${category.ratingCount})` : 'N/A'}
+                    </p>
                   </div>
                 </div>
               ))}
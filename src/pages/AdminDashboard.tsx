@@ -4,10 +4,43 @@ import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
-import { Upload, X, Brain, LogIn, BarChart3, LogOut, Trash2, Eye, Home } from 'lucide-react';
+import { Upload, X, Brain, LogIn, BarChart3, LogOut, Trash2, Eye, Home, Users, Mail, ShieldCheck, Check, FileArchive, Download } from 'lucide-react';
 import { toast } from 'sonner';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '@/components/context/AuthProvider';
+import authInterceptor from '@/utils/authInterceptor';
+import { TaxonomyManager } from '@/components/TaxonomyManager';
+import { CurationManager } from '@/components/CurationManager';
+import { BundleManager } from '@/components/BundleManager';
+
+interface AdminAccount {
+  id: string;
+  email: string;
+  name: string | null;
+  lastLoginAt: string | null;
+  mfaEnrolled: boolean;
+}
+
+interface ModerationQueueItem {
+  id: number;
+  name: string;
+  slug: string | null;
+  description: string;
+  price: number;
+  currentVersion: string | null;
+  kind: 'submission' | 'edit'; // A new template, or a staged edit to a published one
+  pendingEdit: { name: string; description: string; imageUrl: string | null; version: string | null; changelog: string | null } | null;
+  submittedAt: string;
+  creator: { id: string | null; name: string | null; email: string | null };
+}
+
+interface ImportRowError {
+  row: number;
+  file: string | null;
+  name: string | null;
+  errors: string[];
+  conflict?: { id: number; name: string; slug: string | null; status: string }; // The existing template this row duplicates
+}
 
 export function AdminDashboard() {
   const [name, setName] = useState('');
@@ -26,15 +59,172 @@ export function AdminDashboard() {
 
   // ✅ FIXED: Use AuthProvider for authentication
   const { currentUser, logout } = useAuth();
+  const [adminEmail, setAdminEmail] = useState('');
   const [adminPassword, setAdminPassword] = useState('');
   const [loginError, setLoginError] = useState('');
   const [isLoggingIn, setIsLoggingIn] = useState(false);
 
+  const [admins, setAdmins] = useState<AdminAccount[]>([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [isInviting, setIsInviting] = useState(false);
+
+  const [moderationQueue, setModerationQueue] = useState<ModerationQueueItem[]>([]);
+  const [rejectingId, setRejectingId] = useState<number | null>(null);
+  const [rejectReason, setRejectReason] = useState('');
+  const [moderatingId, setModeratingId] = useState<number | null>(null);
+
+  const [importFile, setImportFile] = useState<File | null>(null);
+  const [publishImport, setPublishImport] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importErrors, setImportErrors] = useState<ImportRowError[]>([]);
+  const [isExporting, setIsExporting] = useState(false);
+
   const navigate = useNavigate();
 
   // ✅ FIXED: Check if user is admin using AuthProvider
   const isAuthenticated = currentUser && (currentUser.role === 'admin' || currentUser.isAdmin);
 
+  const loadAdmins = async () => {
+    try {
+      const response = await authInterceptor.fetch('/api/admin/admins');
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setAdmins(data.admins);
+      }
+    } catch (err) {
+      console.error('Failed to load admin accounts:', err);
+    }
+  };
+
+  const loadModerationQueue = async () => {
+    try {
+      const response = await authInterceptor.fetch('/api/admin/moderation-queue');
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setModerationQueue(data.templates);
+      }
+    } catch (err) {
+      console.error('Failed to load moderation queue:', err);
+    }
+  };
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadAdmins();
+      loadModerationQueue();
+    }
+  }, [isAuthenticated]);
+
+  const handleModerate = async (template: ModerationQueueItem, action: 'approve' | 'reject') => {
+    setModeratingId(template.id);
+    const isEdit = template.kind === 'edit';
+    try {
+      const response = await authInterceptor.fetch(`/api/admin/templates/${template.id}/${isEdit ? `edit/${action}` : action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(action === 'reject' ? { reason: rejectReason } : {}),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        const title = isEdit
+          ? (action === 'approve' ? 'Edit published' : 'Edit rejected')
+          : (action === 'approve' ? 'Template published' : 'Template rejected');
+        toast.success(title, { description: template.name });
+        setModerationQueue((queue) => queue.filter((item) => item.id !== template.id));
+        setRejectingId(null);
+        setRejectReason('');
+      } else {
+        toast.error(`Could not ${action} template`, { description: data.error });
+      }
+    } catch (err: any) {
+      toast.error(`Could not ${action} template`, { description: err.message });
+    } finally {
+      setModeratingId(null);
+    }
+  };
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsInviting(true);
+
+    try {
+      const response = await authInterceptor.fetch('/api/admin/invitations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: inviteEmail }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        toast.success('Invitation sent', { description: `${inviteEmail} will receive a sign-up link.` });
+        setInviteEmail('');
+      } else {
+        toast.error('Invitation failed', { description: data.error || 'Could not send the invitation.' });
+      }
+    } catch (err: any) {
+      toast.error('Invitation failed', { description: err.message });
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  // Bulk import: dryRun validates the bundle without importing anything
+  const handleImport = async (dryRun: boolean) => {
+    if (!importFile) return;
+    setIsImporting(true);
+    setImportErrors([]);
+
+    try {
+      const params = new URLSearchParams({ dryRun: String(dryRun), publish: String(publishImport) });
+      const response = await authInterceptor.fetch(`/api/admin/templates/import?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/zip' },
+        body: importFile,
+      });
+      const data = await response.json();
+      setImportErrors(data.errors || []);
+
+      if (response.ok && data.success) {
+        const skipped = data.errorCount ? `, ${data.errorCount} rows need fixing` : '';
+        toast.success(dryRun ? 'Bundle checked' : 'Import complete', {
+          description: dryRun ? `${data.validCount} templates ready to import${skipped}` : `${data.importedCount} templates imported${skipped}`,
+        });
+      } else {
+        toast.error('Import failed', { description: data.error });
+      }
+    } catch (err: any) {
+      toast.error('Import failed', { description: err.message });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await authInterceptor.fetch('/api/admin/templates/export');
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Export failed');
+      }
+
+      const filenameMatch = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/);
+      const url = window.URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filenameMatch ? filenameMatch[1] : 'devhubconnect-templates.zip';
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err: any) {
+      toast.error('Export failed', { description: err.message });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   // ✅ FIXED: Use AuthProvider logout
   const handleSignOut = () => {
     logout();
@@ -92,7 +282,7 @@ export function AdminDashboard() {
       const parsedJson = JSON.parse(workflowJson);
       
       // ✅ FIXED: Use session cookies instead of JWT tokens
-      const response = await fetch('/api/templates', {
+      const response = await authInterceptor.fetch('/api/templates', {
         method: 'POST',
         credentials: 'include',
         headers: {
@@ -104,6 +294,7 @@ export function AdminDashboard() {
           price: parseFloat(price),
           workflowJson: parsedJson,
           imageUrl: finalImageUrl,
+          publish: true,
         }),
       });
 
@@ -150,7 +341,7 @@ export function AdminDashboard() {
       const parsedJson = JSON.parse(workflowJson);
       
       // ✅ FIXED: Use session cookies instead of JWT tokens
-      const response = await fetch('/api/templates', {
+      const response = await authInterceptor.fetch('/api/templates', {
         method: 'POST',
         credentials: 'include',
         headers: {
@@ -162,6 +353,7 @@ export function AdminDashboard() {
           price: parseFloat(price),
           workflowJson: parsedJson,
           imageUrl: finalImageUrl,
+          publish: true,
         }),
       });
 
@@ -202,7 +394,7 @@ export function AdminDashboard() {
       const parsedJson = JSON.parse(workflowJson);
       
       // ✅ FIXED: Use session cookies instead of JWT tokens
-      const response = await fetch('/api/admin/generate-template-details', {
+      const response = await authInterceptor.fetch('/api/admin/generate-template-details', {
         method: 'POST',
         credentials: 'include',
         headers: {
@@ -245,7 +437,7 @@ export function AdminDashboard() {
         method: 'POST',
         credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password: adminPassword }),
+        body: JSON.stringify({ email: adminEmail, password: adminPassword }),
       });
 
       const data = await response.json();
@@ -255,8 +447,8 @@ export function AdminDashboard() {
         // Refresh page to trigger AuthProvider re-check
         window.location.reload();
       } else {
-        setLoginError(data.message || 'Login failed. Please check your password.');
-        toast.error('Login Failed', { description: data.message || 'Invalid password.' });
+        setLoginError(data.error || data.message || 'Login failed. Please check your email and password.');
+        toast.error('Login Failed', { description: data.error || data.message || 'Invalid email or password.' });
       }
     } catch (err: any) {
       setLoginError(`Login failed: ${err.message}`);
@@ -272,10 +464,21 @@ export function AdminDashboard() {
         <Card className="max-w-md mx-auto">
           <CardHeader>
             <CardTitle>Admin Login</CardTitle>
-            <CardDescription>Enter the admin password to access the dashboard.</CardDescription>
+            <CardDescription>Sign in with your admin email and password.</CardDescription>
           </CardHeader>
           <CardContent>
             <form onSubmit={handleLogin} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="adminEmail">Email</Label>
+                <Input
+                  id="adminEmail"
+                  type="email"
+                  autoComplete="username"
+                  value={adminEmail}
+                  onChange={(e) => setAdminEmail(e.target.value)}
+                  disabled={isLoggingIn}
+                />
+              </div>
               <div className="space-y-2">
                 <Label htmlFor="adminPassword">Password</Label>
                 <Input
@@ -349,6 +552,184 @@ export function AdminDashboard() {
           </CardContent>
         </Card>
 
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Users className="w-5 h-5 mr-2" />
+              Admin Team
+            </CardTitle>
+            <CardDescription>Everyone with admin access and when they last signed in.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ul className="divide-y">
+              {admins.map((admin) => (
+                <li key={admin.id} className="flex justify-between items-center py-2 text-sm">
+                  <div>
+                    <p className="font-medium">{admin.name || admin.email}</p>
+                    <p className="text-gray-500">{admin.email}{admin.mfaEnrolled ? ' · 2FA' : ''}</p>
+                  </div>
+                  <span className="text-gray-500">
+                    {admin.lastLoginAt ? `Last login ${new Date(admin.lastLoginAt).toLocaleString()}` : 'Never signed in'}
+                  </span>
+                </li>
+              ))}
+              {admins.length === 0 && <li className="py-2 text-sm text-gray-500">No named admin accounts yet.</li>}
+            </ul>
+            <form onSubmit={handleInvite} className="flex gap-2">
+              <Input
+                type="email"
+                placeholder="new.admin@example.com"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                required
+                disabled={isInviting}
+              />
+              <Button type="submit" disabled={isInviting}>
+                <Mail className="w-4 h-4 mr-2" />
+                {isInviting ? 'Sending...' : 'Invite'}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <ShieldCheck className="w-5 h-5 mr-2" />
+              Moderation Queue
+            </CardTitle>
+            <CardDescription>Templates and edits to published templates submitted for review, oldest first.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ul className="divide-y">
+              {moderationQueue.map((template) => (
+                <li key={template.id} className="py-3 space-y-2 text-sm">
+                  <div className="flex justify-between items-start gap-4">
+                    <div>
+                      <a href={`/template/${template.slug || template.id}`} target="_blank" rel="noreferrer" className="font-medium hover:underline">
+                        {template.name}
+                      </a>
+                      <p className="text-gray-500">
+                        {template.creator.name || template.creator.email || 'Unknown creator'} · ${(template.price / 100).toFixed(2)}
+                        {template.currentVersion ? ` · v${template.currentVersion}` : ''} · submitted {new Date(template.submittedAt).toLocaleString()}
+                      </p>
+                      {template.pendingEdit && (
+                        <div className="mt-1 text-gray-600">
+                          <p>
+                            Edit to the live template
+                            {template.pendingEdit.name !== template.name && <> · renamed to <span className="font-medium">{template.pendingEdit.name}</span></>}
+                            {template.pendingEdit.version && ` · new workflow v${template.pendingEdit.version}`}
+                          </p>
+                          {template.pendingEdit.description !== template.description && (
+                            <p className="line-clamp-2">New description: {template.pendingEdit.description}</p>
+                          )}
+                          {template.pendingEdit.changelog && <p className="line-clamp-2">Changelog: {template.pendingEdit.changelog}</p>}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex gap-2 shrink-0">
+                      <Button size="sm" onClick={() => handleModerate(template, 'approve')} disabled={moderatingId === template.id}>
+                        <Check className="w-4 h-4 mr-1" />
+                        Approve
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="text-red-600 border-red-300 hover:bg-red-50"
+                        onClick={() => { setRejectingId(template.id); setRejectReason(''); }}
+                        disabled={moderatingId === template.id}
+                      >
+                        <X className="w-4 h-4 mr-1" />
+                        Reject
+                      </Button>
+                    </div>
+                  </div>
+                  {rejectingId === template.id && (
+                    <div className="flex gap-2">
+                      <Input
+                        placeholder="Reason shown to the creator"
+                        value={rejectReason}
+                        onChange={(e) => setRejectReason(e.target.value)}
+                        maxLength={1000}
+                      />
+                      <Button
+                        size="sm"
+                        variant="destructive"
+                        onClick={() => handleModerate(template, 'reject')}
+                        disabled={!rejectReason.trim() || moderatingId === template.id}
+                      >
+                        Send
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => setRejectingId(null)}>
+                        Cancel
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              ))}
+              {moderationQueue.length === 0 && <li className="py-2 text-sm text-gray-500">Nothing waiting for review.</li>}
+            </ul>
+          </CardContent>
+        </Card>
+
+        <CurationManager />
+
+        <BundleManager />
+
+        <TaxonomyManager />
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <FileArchive className="w-5 h-5 mr-2" />
+              Bulk Import & Export
+            </CardTitle>
+            <CardDescription>
+              A ZIP of workflow JSON files with manifest.csv or manifest.json (file, name, description, price, tags). Exports use the same format.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Input
+              type="file"
+              accept=".zip,application/zip"
+              onChange={(e) => { setImportFile(e.target.files?.[0] || null); setImportErrors([]); }}
+              disabled={isImporting}
+            />
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={publishImport} onChange={(e) => setPublishImport(e.target.checked)} />
+              Publish imported templates immediately
+            </label>
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" onClick={() => handleImport(true)} disabled={!importFile || isImporting}>
+                Validate
+              </Button>
+              <Button type="button" onClick={() => handleImport(false)} disabled={!importFile || isImporting}>
+                <Upload className="w-4 h-4 mr-2" />
+                {isImporting ? 'Working...' : 'Import'}
+              </Button>
+              <Button type="button" variant="secondary" className="ml-auto" onClick={handleExport} disabled={isExporting}>
+                <Download className="w-4 h-4 mr-2" />
+                {isExporting ? 'Exporting...' : 'Export Catalog'}
+              </Button>
+            </div>
+            {importErrors.length > 0 && (
+              <ul className="text-sm border border-red-200 bg-red-50 rounded-md divide-y divide-red-100">
+                {importErrors.map((rowError) => (
+                  <li key={rowError.row} className="p-2">
+                    <span className="font-medium">Row {rowError.row}</span>
+                    {rowError.name || rowError.file ? ` (${rowError.name || rowError.file})` : ''}: {rowError.errors.join('; ')}
+                    {rowError.conflict && (
+                      <a href={`/template/${rowError.conflict.slug || rowError.conflict.id}`} target="_blank" rel="noreferrer" className="ml-2 underline">
+                        View existing
+                      </a>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+
         <Card>
           <CardHeader>
             <CardTitle>Upload New Template</CardTitle>
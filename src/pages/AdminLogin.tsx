@@ -3,15 +3,20 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { Shield, Eye, EyeOff, AlertCircle, ArrowLeft } from 'lucide-react';
+import { Shield, Eye, EyeOff, AlertCircle, ArrowLeft, KeyRound, Mail } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { API_ENDPOINTS, apiCall } from '../config/api';
+import authInterceptor from '../utils/authInterceptor';
 
 export function AdminLogin() {
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [mfaRequired, setMfaRequired] = useState(false);
+  const [mfaCode, setMfaCode] = useState('');
+  const [resetMessage, setResetMessage] = useState('');
   const navigate = useNavigate();
 
   const handleLogin = async (e: React.FormEvent) => {
@@ -22,31 +27,36 @@ export function AdminLogin() {
     try {
       const response = await apiCall(API_ENDPOINTS.AUTH_ADMIN_LOGIN, {
         method: 'POST',
-        body: JSON.stringify({ password }),
+        body: JSON.stringify({ email, password, ...twoFactorFields() }),
       });
 
       const data = await response.json();
 
+      // Enrolled admins need a code from their authenticator app (or a backup code)
+      if (response.ok && data.mfaRequired) {
+        setMfaRequired(true);
+        return;
+      }
+
       if (response.ok && data.success) {
-        // ✅ FIXED: Save JWT token instead of simple flag
-        localStorage.setItem('token', data.token); // JWT token from backend
-        localStorage.setItem('devhub_user', JSON.stringify({
+        // Also keep the old admin_auth for backward compatibility if needed
+        localStorage.setItem('admin_auth', 'true');
+        
+        // ✅ FIXED: Save JWT token instead of simple flag (and tell other open tabs)
+        authInterceptor.notifyLogin(data.token, {
           id: data.user.id,
           email: data.user.email,
           name: data.user.name,
           isAdmin: true,
           role: 'admin'
-        }));
-        
-        // Also keep the old admin_auth for backward compatibility if needed
-        localStorage.setItem('admin_auth', 'true');
+        });
         
         // Success notification
         console.log('✅ Admin login successful!');
         
         window.location.href = '/admin/dashboard';
       } else {
-        setError(data.message || 'Login failed. Please try again.');
+        setError(data.error || data.message || 'Login failed. Please try again.');
       }
     } catch (err) {
       console.error('Login error:', err);
@@ -56,6 +66,39 @@ export function AdminLogin() {
     }
   };
 
+  // 6 digits is an authenticator code, anything else is treated as a backup code
+  const twoFactorFields = () => {
+    const code = mfaCode.trim();
+    if (!mfaRequired || !code) return {};
+    return /^\d{6}$/.test(code) ? { totpCode: code } : { backupCode: code };
+  };
+
+  // Emails a reset link - the server answers the same way whether or not the address is an admin
+  const handleForgotPassword = async () => {
+    if (!email.trim()) {
+      setError('Enter your admin email address first.');
+      return;
+    }
+    setError('');
+    setResetMessage('');
+
+    try {
+      const response = await apiCall(API_ENDPOINTS.ADMIN_PASSWORD_RESET, {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResetMessage(data.message || 'Check your inbox for a reset link.');
+      } else {
+        setError(data.error || 'Could not send a reset link.');
+      }
+    } catch (err) {
+      console.error('Password reset request error:', err);
+      setError('An error occurred. Please check the server and try again.');
+    }
+  };
+
   const handleBackToSite = () => {
     navigate('/');
   };
@@ -88,17 +131,34 @@ export function AdminLogin() {
               Admin Login
             </CardTitle>
             <CardDescription className="text-slate-300">
-              Enter the admin password to access the dashboard.
+              Sign in with your admin email and password.
             </CardDescription>
           </CardHeader>
           <CardContent>
             <form onSubmit={handleLogin} className="space-y-4">
+              {/* Email Field */}
+              <div className="space-y-2">
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+                  <Input
+                    id="email"
+                    type="email"
+                    autoComplete="username"
+                    placeholder="Admin Email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="bg-slate-700 border-slate-600 text-white placeholder:text-slate-400 focus:border-purple-400 pl-10"
+                  />
+                </div>
+              </div>
+
               {/* Password Field with Show/Hide */}
               <div className="space-y-2">
                 <div className="relative">
                   <Input
                     id="password"
                     type={showPassword ? "text" : "password"}
+                    autoComplete="current-password"
                     placeholder="Admin Password"
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
@@ -121,6 +181,36 @@ export function AdminLogin() {
                 </div>
               </div>
 
+              {/* Two-Factor Code */}
+              {mfaRequired && (
+                <div className="space-y-2">
+                  <div className="relative">
+                    <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+                    <Input
+                      id="mfaCode"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      placeholder="Authenticator code or backup code"
+                      value={mfaCode}
+                      onChange={(e) => setMfaCode(e.target.value)}
+                      className="bg-slate-700 border-slate-600 text-white placeholder:text-slate-400 focus:border-purple-400 pl-10"
+                      autoFocus
+                      required
+                    />
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    Two-factor authentication is enabled for this account.
+                  </p>
+                </div>
+              )}
+
+              {resetMessage && (
+                <div className="p-3 bg-green-900/20 border border-green-700/50 rounded-lg">
+                  <p className="text-sm text-green-300">{resetMessage}</p>
+                </div>
+              )}
+
               {/* Error Message */}
               {error && (
                 <div className="flex items-start space-x-2 p-3 bg-red-900/20 border border-red-700/50 rounded-lg">
@@ -155,6 +245,15 @@ export function AdminLogin() {
                   </>
                 )}
               </Button>
+
+              <Button
+                type="button"
+                variant="link"
+                onClick={handleForgotPassword}
+                className="w-full text-slate-400 hover:text-white"
+              >
+                Forgot your password?
+              </Button>
             </form>
 
             {/* Back to Site */}
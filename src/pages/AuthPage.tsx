@@ -1,10 +1,11 @@
 import { useEffect, useState } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { Github, ArrowLeft, Loader2 } from 'lucide-react';
+import { Github, Gitlab, Mail, ArrowLeft, Loader2 } from 'lucide-react';
 import { toast } from "sonner";
-import { apiCall, API_ENDPOINTS } from '../config/api';
+import { apiCall, API_ENDPOINTS, withReturnTo } from '../config/api';
 
 // ✅ Corrected useAuth import based on actual file path
 import { useAuth } from "@/components/context/AuthProvider";
@@ -14,12 +15,17 @@ export const AuthPage = () => {
   const location = useLocation();
   const [isLoading, setIsLoading] = useState(false);
   const [authError, setAuthError] = useState<string | null>(null);
+  const [email, setEmail] = useState('');
+  const [emailSent, setEmailSent] = useState(false);
+  const [isSendingEmail, setIsSendingEmail] = useState(false);
 
   // ✅ Use login from context
   const { login } = useAuth();
 
-  // Get the redirect path from location state or default to dashboard
-  const from = location.state?.from || '/dashboard';
+  // Get the redirect path from location state, a ?returnTo= path, or default to dashboard
+  const returnToParam = new URLSearchParams(location.search).get('returnTo');
+  const from = location.state?.from
+    || (returnToParam?.startsWith('/') && !returnToParam.startsWith('//') ? returnToParam : '/dashboard');
 
   useEffect(() => {
     // Check if user is already authenticated
@@ -84,8 +90,8 @@ export const AuthPage = () => {
     }
   };
 
-  // ✅ FIXED: GitHub OAuth initiation with absolute URL
-  const handleGithubAuth = () => {
+  // ✅ FIXED: OAuth initiation with absolute URL (github, google or gitlab)
+  const handleOAuth = (provider: 'github' | 'google' | 'gitlab') => {
     setIsLoading(true);
     setAuthError(null);
     
@@ -94,8 +100,39 @@ export const AuthPage = () => {
       sessionStorage.setItem('auth_redirect', from);
     }
     
-    // FIXED: Use absolute URL for GitHub OAuth initiation
-    window.location.href = "https://www.devhubconnect.com/auth/github";
+    // The server keeps returnTo with the OAuth state and lands back on it after login
+    const providerUrls = {
+      github: API_ENDPOINTS.AUTH_GITHUB,
+      google: API_ENDPOINTS.AUTH_GOOGLE,
+      gitlab: API_ENDPOINTS.AUTH_GITLAB,
+    };
+    window.location.href = withReturnTo(providerUrls[provider], from);
+  };
+
+  // Passwordless sign-in: the server emails a one-time link that lands back on `from`
+  const handleEmailSignIn = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSendingEmail(true);
+    setAuthError(null);
+
+    try {
+      const response = await apiCall(API_ENDPOINTS.AUTH_EMAIL_START, {
+        method: 'POST',
+        body: JSON.stringify({ email, returnTo: from }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setEmailSent(true);
+      } else {
+        setAuthError(data.error || 'Could not send the sign-in link. Please try again.');
+      }
+    } catch (error) {
+      console.error('Email sign-in error:', error);
+      setAuthError('Something went wrong. Please try again.');
+    } finally {
+      setIsSendingEmail(false);
+    }
   };
 
   if (isLoading) {
@@ -130,7 +167,7 @@ export const AuthPage = () => {
           <CardHeader className="text-center pb-4">
             <CardTitle className="text-2xl">Welcome</CardTitle>
             <CardDescription>
-              Sign in with GitHub to access premium automation templates
+              Sign in with GitHub, Google, GitLab or an email link to access premium automation templates
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -144,7 +181,7 @@ export const AuthPage = () => {
             <Button
               variant="outline"
               className="w-full bg-gray-900 hover:bg-gray-800 text-white border-gray-900"
-              onClick={handleGithubAuth}
+              onClick={() => handleOAuth('github')}
               disabled={isLoading}
               data-auth="github"
               data-auth-primary="sign-in"
@@ -153,6 +190,64 @@ export const AuthPage = () => {
               Continue with GitHub
             </Button>
 
+            <Button
+              variant="outline"
+              className="w-full mt-3"
+              onClick={() => handleOAuth('google')}
+              disabled={isLoading}
+              data-auth="google"
+            >
+              <Mail className="mr-2 h-4 w-4" />
+              Continue with Google
+            </Button>
+
+            <Button
+              variant="outline"
+              className="w-full mt-3"
+              onClick={() => handleOAuth('gitlab')}
+              disabled={isLoading}
+              data-auth="gitlab"
+            >
+              <Gitlab className="mr-2 h-4 w-4" />
+              Continue with GitLab
+            </Button>
+
+            <div className="relative my-6">
+              <div className="absolute inset-0 flex items-center">
+                <span className="w-full border-t" />
+              </div>
+              <div className="relative flex justify-center text-xs uppercase">
+                <span className="bg-white px-2 text-gray-500">Or use your email</span>
+              </div>
+            </div>
+
+            {emailSent ? (
+              <div className="p-3 rounded-md bg-green-50 border border-green-200" data-auth="email-sent">
+                <p className="text-sm text-green-700">
+                  Check your inbox for a sign-in link. It expires in 15 minutes and works once.
+                </p>
+              </div>
+            ) : (
+              <form onSubmit={handleEmailSignIn} className="space-y-3">
+                <Input
+                  type="email"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                  required
+                />
+                <Button type="submit" variant="outline" className="w-full" disabled={isSendingEmail} data-auth="email">
+                  {isSendingEmail ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <Mail className="mr-2 h-4 w-4" />
+                  )}
+                  Email me a sign-in link
+                </Button>
+              </form>
+            )}
+
             {/* ✅ ADDED: User info display area (hidden by default) */}
             <div 
               data-auth="user-info" 
@@ -167,7 +262,7 @@ export const AuthPage = () => {
                 <span className="w-full border-t" />
               </div>
               <div className="relative flex justify-center text-xs uppercase">
-                <span className="bg-white px-2 text-gray-500">Secure GitHub Authentication</span>
+                <span className="bg-white px-2 text-gray-500">Secure Passwordless Authentication</span>
               </div>
             </div>
 
@@ -179,7 +274,7 @@ export const AuthPage = () => {
               
               <div className="text-xs text-gray-500 space-y-1">
                 <p>By continuing, you agree to our Terms of Service</p>
-                <p>Your GitHub profile will be used to create your account</p>
+                <p>Accounts with the same verified email are linked automatically</p>
               </div>
             </div>
           </CardContent>
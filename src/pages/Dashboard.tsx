@@ -32,6 +32,7 @@ export const Dashboard = () => {
   // Check if this is a post-Stripe redirect
   const isStripeReturn = searchParams.get('purchase') === 'success';
   const templateId = searchParams.get('template');
+  const bundleSlug = searchParams.get('bundle');
 
   // Data state (removed custom authentication state)
   const [purchasedTemplates, setPurchasedTemplates] = useState([]);
@@ -48,8 +49,8 @@ export const Dashboard = () => {
 
   // Handle Stripe purchase success
   useEffect(() => {
-    if (isStripeReturn && templateId && currentUser) {
-      console.log('Stripe purchase success detected for template:', templateId);
+    if (isStripeReturn && (templateId || bundleSlug) && currentUser) {
+      console.log('Stripe purchase success detected for:', templateId ? `template ${templateId}` : `bundle ${bundleSlug}`);
       toast.success('Purchase completed successfully! Welcome to your dashboard.');
       
       // Clean up URL parameters after showing success message
@@ -57,10 +58,11 @@ export const Dashboard = () => {
         const newUrl = new URL(window.location);
         newUrl.searchParams.delete('purchase');
         newUrl.searchParams.delete('template');
+        newUrl.searchParams.delete('bundle');
         window.history.replaceState({}, '', newUrl.toString());
       }, 2000);
     }
-  }, [isStripeReturn, templateId, currentUser]);
+  }, [isStripeReturn, templateId, bundleSlug, currentUser]);
 
   // Fetch user's purchased templates
   useEffect(() => {
@@ -1,7 +1,7 @@
-import { useState, useMemo, useEffect } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { useInfiniteQuery, useQuery } from '@tanstack/react-query';
 import { Helmet, HelmetProvider } from 'react-helmet-async';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { useNavigate } from 'react-router-dom';
 import {
  Select,
  SelectContent,
@@ -11,18 +11,10 @@ import {
 } from '@/components/ui/select';
 import { Navbar } from '../components/Navbar';
 import { TemplateCard } from '../components/TemplateCard';
+import { BundleCard, type Bundle } from '../components/BundleCard';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Badge } from '../components/ui/badge';
-import {
- Pagination,
- PaginationContent,
- PaginationItem,
- PaginationLink,
- PaginationNext,
- PaginationPrevious,
- PaginationEllipsis,
-} from '../components/ui/pagination';
 import {
  Search,
  Filter,
@@ -31,6 +23,7 @@ import {
  Users,
  Star,
  ChevronsUpDown,
+ Sparkles,
 } from 'lucide-react';
 import ChatBox from '../components/ChatBox'; // ✅ NEW: Import the ChatBox component
 import { API_ENDPOINTS, apiCall } from '../config/api';
@@ -40,35 +33,98 @@ interface Template {
  name: string;
  description: string;
  price: number;
- workflowJson: any;
+ workflowJson?: any;
  createdAt: string;
  downloads: number;
  purchased?: boolean;
 }
 
-const fetchTemplates = async (): Promise<Template[]> => {
+const TEMPLATES_PER_PAGE = 24;
+const SEARCH_DEBOUNCE_MS = 300;
+// A search counts for analytics once typing has paused this long (or on Enter)
+const SEARCH_RECORD_DELAY_MS = 2000;
+
+interface TemplatePage {
+ templates: Template[];
+ total: number;
+ nextCursor: string | null;
+}
+
+// ✅ SEARCH: Non-empty queries are ranked by the server's full-text search. Results load as the user types;
+// only settled searches are recorded for analytics (recordSearch).
+// Pages come from the server's cursor pagination; view=list leaves the workflow JSON out of the listing.
+const fetchTemplates = async (searchQuery: string, category: string | null, sort: string, cursor?: string): Promise<TemplatePage> => {
+ const params = new URLSearchParams({ view: 'list', limit: String(TEMPLATES_PER_PAGE) });
+ if (searchQuery) params.set('q', searchQuery);
+ if (category) params.set('category', category);
+ if (sort) params.set('sort', sort);
+ if (cursor) params.set('cursor', cursor);
+
  // --- FIX: Added the full backend URL ---
- const response = await apiCall(API_ENDPOINTS.TEMPLATES);
+ const response = await apiCall(`${API_ENDPOINTS.TEMPLATES}?${params.toString()}`);
+ if (!response.ok) {
+   throw new Error('Network response was not ok');
+ }
+ const data = await response.json();
+ return { templates: data.templates, total: data.total, nextCursor: data.nextCursor };
+};
+
+interface CategoryOption {
+ slug: string;
+ name: string;
+ templateCount: number;
+}
+
+// Category filter badges - only categories with published templates are worth offering
+const fetchCategories = async (): Promise<CategoryOption[]> => {
+ const response = await apiCall(API_ENDPOINTS.CATEGORIES);
+ if (!response.ok) {
+   throw new Error('Network response was not ok');
+ }
+ const data = await response.json();
+ return data.categories;
+};
+
+interface TemplateCollection {
+ slug: string;
+ name: string;
+ description: string | null;
+ templates: Template[];
+}
+
+interface Curation {
+ featured: Template[];
+ collections: TemplateCollection[];
+}
+
+// ✅ CURATION: Featured templates and named collections chosen by admins
+const fetchCuration = async (): Promise<Curation> => {
+ const response = await apiCall(API_ENDPOINTS.COLLECTIONS);
  if (!response.ok) {
    throw new Error('Network response was not ok');
  }
  const data = await response.json();
- return data.templates; // ✅ FIXED: Extract templates from response object
+ return { featured: data.featured, collections: data.collections };
 };
 
-// ✅ ANALYTICS: Track search queries
-const trackSearch = async (searchTerm: string) => {
+// Bundles the buyer can purchase; signed-in buyers see what they already own
+const fetchBundles = async (): Promise<Bundle[]> => {
+ const response = await apiCall(API_ENDPOINTS.BUNDLES);
+ if (!response.ok) {
+   throw new Error('Network response was not ok');
+ }
+ const data = await response.json();
+ return data.bundles;
+};
+
+// ✅ ANALYTICS: Record a settled search - the server counts the results itself
+const recordSearch = async (searchQuery: string, category: string | null) => {
  try {
-   await fetch('/api/templates/analytics/search', {
+   await apiCall(API_ENDPOINTS.SEARCH_RECORD, {
      method: 'POST',
-     headers: { 'Content-Type': 'application/json' },
-     body: JSON.stringify({ 
-       searchTerm, 
-       timestamp: new Date().toISOString() 
-     })
+     body: JSON.stringify({ q: searchQuery, ...(category && { category }) }),
    });
  } catch (error) {
-   // Silently fail - don't break search if analytics fail
    console.log('Search analytics tracking failed:', error);
  }
 };
@@ -85,200 +141,117 @@ const trackTemplateView = async (templateId: number) => {
  }
 };
 
-const getPaginationItems = (
- currentPage: number,
- totalPages: number,
- siblingCount = 1
-): (number | string)[] => {
- const totalPageNumbersToShow = siblingCount * 2 + 5; // Total pages displayed if not too many pages overall
-
- // Define the specific fixed jump pages you want to always appear (e.g., 20, 40, 60, 80, 100)
- const fixedJumpPages = [20, 40, 60, 80, 100].filter(page => page < totalPages);
-
- if (totalPages <= totalPageNumbersToShow && totalPages > 0) {
-   // If total pages are few, show all pages
-   return Array.from({ length: totalPages }, (_, i) => i + 1);
- } else if (totalPages === 0) {
-   // Handle case with no pages
-   return [];
- }
-
- const leftSiblingIndex = Math.max(currentPage - siblingCount, 1);
- const rightSiblingIndex = Math.min(currentPage + siblingCount, totalPages);
-
- const shouldShowLeftDots = leftSiblingIndex > 2;
- const shouldShowRightDots = rightSiblingIndex < totalPages - 2;
-
- const firstPageIndex = 1;
- const lastPageIndex = totalPages;
-
- let itemsSet = new Set<number>();
- itemsSet.add(firstPageIndex);
- itemsSet.add(lastPageIndex);
-
- // Add siblings
- for (let i = leftSiblingIndex; i <= rightSiblingIndex; i++) {
-   itemsSet.add(i);
- }
-
- // Add current page
- itemsSet.add(currentPage);
-
- // Add fixed jump pages
- fixedJumpPages.forEach(page => itemsSet.add(page));
-
- // Convert to array and sort
- let sortedItems = Array.from(itemsSet).sort((a, b) => a - b);
-
- // Insert ellipses
- const finalItems: (number | string)[] = [];
- let lastAddedItem: number | string | null = null;
-
- for (const item of sortedItems) {
-   if (lastAddedItem !== null && typeof lastAddedItem === 'number' && item > lastAddedItem + 1) {
-     // Check if there's a gap greater than 1, then insert ellipsis
-     finalItems.push('...');
-   }
-   finalItems.push(item);
-   lastAddedItem = item;
- }
-
- return finalItems;
+// Sort menu values -> server sort names ('all' keeps the server default: relevance when searching, else rating)
+const SERVER_SORTS: Record<string, string> = {
+ all: '',
+ popular: 'downloads',
+ trending: 'trending',
+ rating: 'rating',
+ newest: 'newest',
+ price_asc: 'price_asc',
+ price_desc: 'price_desc',
 };
 
 export const HomePage = () => {
- const { data: templates = [], isLoading, error } = useQuery<Template[]>({
-   queryKey: ['templates'],
-   queryFn: fetchTemplates,
- });
-
- const location = useLocation();
- const navigate = useNavigate();
-
- const initialPage = useMemo(() => {
-   const params = new URLSearchParams(location.search);
-   const page = parseInt(params.get('page') || '1', 10);
-   return Math.max(1, page);
- }, [location.search]);
-
  const [searchTerm, setSearchTerm] = useState('');
- const [selectedCategory, setSelectedCategory] = useState('all');
+ const [debouncedSearch, setDebouncedSearch] = useState('');
+ // Category slug sent as ?category=; 'popular' is a sort, not a category, so it lives in sortOrder
+ const [selectedCategory, setSelectedCategory] = useState<string | null>(null);
  const [sortOrder, setSortOrder] = useState('all');
- const [currentPage, setCurrentPage] = useState(initialPage);
-
- const templatesPerPage = 9;
 
  useEffect(() => {
-   const params = new URLSearchParams(location.search);
-   if (currentPage !== 1) {
-     params.set('page', currentPage.toString());
-   } else {
-     params.delete('page');
-   }
-   navigate(`?${params.toString()}`, { replace: true });
- }, [currentPage, location.search, navigate]);
-
- const categories = [
-   'all',
-   'popular',
-   'email',
-   'database',
-   'webhooks',
-   'social',
-   'marketing',
- ];
-
- const processedTemplates = useMemo(() => {
- let filtered: Template[] = Array.isArray(templates) ? templates : [];
-
- if (selectedCategory === 'popular') {
-   // ✅ Filter for productivity-related templates
-   filtered = filtered.filter((template) =>
-     template.description.toLowerCase().includes('llm') ||
-     template.name.toLowerCase().includes('llm')
-   );
-
-   // ✅ Sort by most downloaded
-   filtered.sort((a, b) => b.downloads - a.downloads);
-   return filtered;
- }
+   const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_DEBOUNCE_MS);
+   return () => clearTimeout(timer);
+ }, [searchTerm]);
+
+ // Each settled search is recorded once, however it settled
+ const lastRecordedSearch = useRef('');
+ const recordSettledSearch = (query: string) => {
+   const key = `${query}\n${selectedCategory ?? ''}`;
+   if (!query || key === lastRecordedSearch.current) return;
+   lastRecordedSearch.current = key;
+   recordSearch(query, selectedCategory);
+ };
 
- // ✅ Normal category filtering
- if (selectedCategory !== 'all') {
-   filtered = filtered.filter(
-     (template) =>
-       template.description.toLowerCase().includes(selectedCategory.toLowerCase()) ||
-       template.name.toLowerCase().includes(selectedCategory.toLowerCase())
-   );
- }
+ useEffect(() => {
+   if (!debouncedSearch) return;
+   const timer = setTimeout(() => recordSettledSearch(debouncedSearch), SEARCH_RECORD_DELAY_MS);
+   return () => clearTimeout(timer);
+ }, [debouncedSearch, selectedCategory]);
+
+ const searchQuery = debouncedSearch;
+ // Curated sections only show on the unfiltered homepage
+ const isFiltering = Boolean(searchQuery || selectedCategory);
+
+ const {
+   data,
+   isLoading,
+   error,
+   fetchNextPage,
+   hasNextPage,
+   isFetchingNextPage,
+ } = useInfiniteQuery({
+   queryKey: ['templates', searchQuery, selectedCategory, sortOrder],
+   queryFn: ({ pageParam }) => fetchTemplates(searchQuery, selectedCategory, SERVER_SORTS[sortOrder] ?? '', pageParam),
+   initialPageParam: undefined as string | undefined,
+   getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+   // Keep showing the current results while the next search loads
+   placeholderData: (previous) => previous,
+ });
 
- if (searchTerm) {
-   filtered = filtered.filter(
-     (template) =>
-       template.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-       template.description.toLowerCase().includes(searchTerm.toLowerCase())
-   );
- }
+ // Curation is a nice-to-have - the catalog still renders if it fails
+ const { data: curation } = useQuery({
+   queryKey: ['collections'],
+   queryFn: fetchCuration,
+ });
 
- const sorted = [...filtered];
- switch (sortOrder) {
-   case 'popular':
-     sorted.sort((a, b) => b.downloads - a.downloads);
-     break;
-   case 'newest':
-     sorted.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-     break;
-   case 'price_asc':
-     sorted.sort((a, b) => a.price - b.price);
-     break;
-   case 'price_desc':
-     sorted.sort((a, b) => b.price - a.price);
-     break;
-   default:
-     break;
- }
+ const { data: bundles = [] } = useQuery({
+   queryKey: ['bundles'],
+   queryFn: fetchBundles,
+ });
 
- return sorted;
-}, [templates, selectedCategory, searchTerm, sortOrder]);
+ const templates = useMemo(() => data?.pages.flatMap(page => page.templates) ?? [], [data]);
+ const totalTemplates = data?.pages[0]?.total ?? 0;
 
- const totalPages = Math.ceil(processedTemplates.length / templatesPerPage);
+ const navigate = useNavigate();
 
- useEffect(() => {
-   if (currentPage > totalPages && totalPages > 0) {
-     setCurrentPage(totalPages);
-   }
-   else if (totalPages === 0 && currentPage !== 1) {
-     setCurrentPage(1);
-   }
- }, [currentPage, totalPages]);
+ const { data: categoryOptions = [] } = useQuery({
+   queryKey: ['categories'],
+   queryFn: fetchCategories,
+ });
 
- const startIndex = (currentPage - 1) * templatesPerPage;
- const endIndex = startIndex + templatesPerPage;
- const currentTemplates = processedTemplates.slice(startIndex, endIndex);
- const paginationItems = getPaginationItems(currentPage, totalPages);
+ const filterBadges = [
+   { key: 'all', label: 'all', active: !selectedCategory && sortOrder !== 'popular' },
+   { key: 'popular', label: 'popular', active: sortOrder === 'popular' },
+   ...categoryOptions
+     .filter((category) => category.templateCount > 0)
+     .map((category) => ({ key: category.slug, label: category.name, active: selectedCategory === category.slug })),
+ ];
 
- const handleFilterChange = (category: string) => {
-   if (category === 'popular') {
+ // 'all' and 'popular' clear the category; picking a category leaves the popularity sort
+ const handleFilterChange = (key: string) => {
+   if (key === 'popular') {
      setSortOrder('popular');
    } else if (sortOrder === 'popular') {
      setSortOrder('newest');
    }
-   setSelectedCategory(category);
-   setCurrentPage(1);
+   setSelectedCategory(key === 'all' || key === 'popular' ? null : key);
  };
 
  const handleSortChange = (value: string) => {
    setSortOrder(value);
-   setCurrentPage(1);
  };
 
- // ✅ ANALYTICS: Modified search handler to include tracking
  const handleSearchChange = (value: string) => {
    setSearchTerm(value);
-   setCurrentPage(1);
-   if (value.trim()) {
-     trackSearch(value.trim());
-   }
+ };
+
+ // Enter searches right away instead of waiting for the debounce
+ const handleSearchKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+   if (e.key !== 'Enter') return;
+   const query = searchTerm.trim();
+   setDebouncedSearch(query);
+   recordSettledSearch(query);
  };
 
  // ✅ ANALYTICS: Handle template click with view tracking
@@ -321,7 +294,7 @@ export const HomePage = () => {
              <div className="flex justify-center space-x-8 text-center">
                <div className="flex flex-col items-center">
                  <TrendingUp className="w-8 h-8 mb-2" />
-                 <span className="text-2xl font-bold">{templates.length}+</span>
+                 <span className="text-2xl font-bold">{totalTemplates}+</span>
                  <span className="text-teal-100">Templates</span>
                </div>
                <div className="flex flex-col items-center">
@@ -349,20 +322,21 @@ export const HomePage = () => {
                    className="pl-10"
                    value={searchTerm}
                    onChange={(e: React.ChangeEvent<HTMLInputElement>) => handleSearchChange(e.target.value)}
+                   onKeyDown={handleSearchKeyDown}
                  />
                </div>
 
                <div className="flex items-center gap-2 overflow-x-auto">
                  <Filter className="h-4 w-4 text-gray-500 flex-shrink-0" />
-                 {categories.map((category) => (
+                 {filterBadges.map((badge) => (
                    <Badge
-                     key={category}
-                     variant={selectedCategory === category ? 'default' : 'outline'}
+                     key={badge.key}
+                     variant={badge.active ? 'default' : 'outline'}
                      className="cursor-pointer hover:bg-teal-100 transition-colors capitalize whitespace-nowrap"
-                     onClick={() => handleFilterChange(category)}
+                     onClick={() => handleFilterChange(badge.key)}
                    >
-                     {category === 'popular' && <TrendingUp className="w-3 h-3 mr-1.5" />}
-                     {category}
+                     {badge.key === 'popular' && <TrendingUp className="w-3 h-3 mr-1.5" />}
+                     {badge.label}
                    </Badge>
                  ))}
                </div>
@@ -375,6 +349,8 @@ export const HomePage = () => {
                    </SelectTrigger>
                    <SelectContent>
                      <SelectItem value="popular">Popularity</SelectItem>
+                     <SelectItem value="trending">Trending</SelectItem>
+                     <SelectItem value="rating">Top Rated</SelectItem>
                      <SelectItem value="newest">Newest</SelectItem>
                      <SelectItem value="price_asc">Price: Low to High</SelectItem>
                      <SelectItem value="price_desc">Price: High to Low</SelectItem>
@@ -385,6 +361,50 @@ export const HomePage = () => {
            </div>
          </section>
 
+         {/* Featured templates and collections - hidden while searching */}
+         {!isFiltering && curation && (
+           [
+             { key: 'featured', isFeatured: true, name: 'Featured', description: null, templates: curation.featured },
+             ...curation.collections.map((collection) => ({ ...collection, key: `collection-${collection.slug}`, isFeatured: false })),
+           ]
+             .filter((collection) => collection.templates.length > 0)
+             .map((collection) => (
+               <section key={collection.key} className="pt-12">
+                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                   <div className="mb-6">
+                     <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+                       {collection.isFeatured && <Sparkles className="w-6 h-6 mr-2 text-teal-600" />}
+                       {collection.name}
+                     </h2>
+                     {collection.description && <p className="text-gray-600 mt-1">{collection.description}</p>}
+                   </div>
+                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                     {collection.templates.map((template) => (
+                       <TemplateCard key={template.id} template={template} />
+                     ))}
+                   </div>
+                 </div>
+               </section>
+             ))
+         )}
+
+         {/* Bundles */}
+         {!isFiltering && bundles.length > 0 && (
+           <section className="pt-12">
+             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+               <div className="mb-6">
+                 <h2 className="text-2xl font-bold text-gray-900">Bundles</h2>
+                 <p className="text-gray-600 mt-1">Workflows that work together, for less than buying them one by one.</p>
+               </div>
+               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                 {bundles.map((bundle) => (
+                   <BundleCard key={bundle.id} bundle={bundle} />
+                 ))}
+               </div>
+             </div>
+           </section>
+         )}
+
          {/* Templates Grid */}
          <section className="py-12">
            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -392,12 +412,12 @@ export const HomePage = () => {
                <h2 className="text-3xl font-bold text-gray-900">Available Templates</h2>
                <div className="flex items-center text-gray-600">
                  <Zap className="w-5 h-5 mr-2" />
-                 <span>{processedTemplates.length} templates found</span>
+                 <span>{totalTemplates} templates found</span>
                </div>
              </div>
 
              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-               {currentTemplates.map((template) => (
+               {templates.map((template) => (
                  <TemplateCard
                    key={template.id}
                    template={template}
@@ -405,7 +425,7 @@ export const HomePage = () => {
                ))}
              </div>
 
-             {processedTemplates.length === 0 && (
+             {templates.length === 0 && (
                <div className="text-center py-16">
                  <div className="text-gray-400 text-6xl mb-4">🔍</div>
                  <h3 className="text-xl font-semibold text-gray-900 mb-2">No templates found</h3>
@@ -415,8 +435,7 @@ export const HomePage = () => {
                    className="mt-4"
                    onClick={() => {
                      setSearchTerm('');
-                     setSelectedCategory('all');
-                     setCurrentPage(1);
+                     setSelectedCategory(null);
                    }}
                  >
                    Clear Filters
@@ -424,55 +443,16 @@ export const HomePage = () => {
                </div>
              )}
 
-             {/* Pagination */}
-             {totalPages > 1 && (
+             {/* Load More */}
+             {hasNextPage && (
                <div className="mt-12 flex justify-center">
-                 <Pagination>
-                   <PaginationContent>
-                     <PaginationItem>
-                       <PaginationPrevious
-                         href={`?page=${currentPage - 1}`}
-                         onClick={(e: React.MouseEvent<HTMLAnchorElement>) => {
-                           e.preventDefault();
-                           if (currentPage > 1) setCurrentPage(currentPage - 1);
-                         }}
-                         className={currentPage === 1 ? 'pointer-events-none opacity-50' : ''}
-                       />
-                     </PaginationItem>
-
-                     {paginationItems.map((item, index) =>
-                       typeof item === 'number' ? (
-                         <PaginationItem key={`${item}-${index}`}>
-                           <PaginationLink
-                             href={`?page=${item}`}
-                             onClick={(e: React.MouseEvent<HTMLAnchorElement>) => {
-                               e.preventDefault();
-                               setCurrentPage(item);
-                             }}
-                             isActive={currentPage === item}
-                           >
-                             {item}
-                           </PaginationLink>
-                         </PaginationItem>
-                       ) : (
-                         <PaginationItem key={`${item}-${index}`}>
-                           <PaginationEllipsis />
-                         </PaginationItem>
-                       )
-                     )}
-
-                     <PaginationItem>
-                       <PaginationNext
-                         href={`?page=${currentPage + 1}`}
-                         onClick={(e: React.MouseEvent<HTMLAnchorElement>) => {
-                           e.preventDefault();
-                           if (currentPage < totalPages) setCurrentPage(currentPage + 1);
-                         }}
-                         className={currentPage === totalPages ? 'pointer-events-none opacity-50' : ''}
-                       />
-                     </PaginationItem>
-                   </PaginationContent>
-                 </Pagination>
+                 <Button
+                   variant="outline"
+                   onClick={() => fetchNextPage()}
+                   disabled={isFetchingNextPage}
+                 >
+                   {isFetchingNextPage ? 'Loading...' : 'Load more templates'}
+                 </Button>
                </div>
              )}
            </div>
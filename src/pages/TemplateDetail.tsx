@@ -1,13 +1,14 @@
-import { useParams, Link, useLocation } from "react-router-dom";
-import { useQuery } from "@tanstack/react-query";
+import { useParams, Link, useLocation, useNavigate } from "react-router-dom";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { Helmet, HelmetProvider } from "react-helmet-async";
 import { Navbar } from "../components/Navbar";
 import { Button } from "../components/ui/button";
-import { ArrowLeft, ShoppingCart, Star, Eye, Edit, SlidersHorizontal, Share2, Download, Copy } from "lucide-react";
-import { useState } from "react";
+import { ArrowLeft, ShoppingCart, Star, Eye, Edit, SlidersHorizontal, Share2, Download, Copy, History } from "lucide-react";
+import { useState, useEffect } from "react";
 import { toast } from "sonner";
 import { useAuth } from "@/components/context/AuthProvider"; // ✅ ADDED: Import useAuth
 import { API_ENDPOINTS, apiCall } from '../config/api';
+import authInterceptor from '../utils/authInterceptor';
 
 import { getDeterministicRandom } from "@/lib/utils";
 import { loadStripe } from '@stripe/stripe-js';
@@ -21,6 +22,7 @@ interface Template {
   name: string;
   description: string;
   price: number;
+  slug?: string;
   imageUrl?: string;
   image_url?: string; // ✅ ADD: Backend field name
   workflowJson?: { nodes?: { id: string; name: string; type: string }[] };
@@ -59,10 +61,117 @@ const getIntegratedApps = (nodes: { type: string }[] | undefined): string[] => {
   return Array.from(new Set(appTypes));
 };
 
+interface TemplateVersion {
+  version: string;
+  changelog: string | null;
+  createdAt: string;
+  isCurrent: boolean;
+}
+
+interface TemplateVersionHistory {
+  currentVersion: string | null;
+  entitled: boolean;
+  downloadedVersion?: string | null;
+  updateAvailable?: boolean;
+  versions: TemplateVersion[];
+}
+
+async function fetchTemplateVersions(id: number): Promise<TemplateVersionHistory> {
+  const response = await apiCall(API_ENDPOINTS.TEMPLATE_VERSIONS(id));
+  if (!response.ok) throw new Error("Failed to fetch version history.");
+  return response.json();
+}
+
+// Buyers can download any released version, not just the latest
+const downloadTemplateVersion = async (template: Template, version: string) => {
+  const response = await apiCall(API_ENDPOINTS.TEMPLATE_DOWNLOAD(template.id, version));
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || 'Failed to download template');
+  }
+
+  const filenameMatch = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/);
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filenameMatch ? filenameMatch[1] : `${template.name.toLowerCase().replace(/\s+/g, '_')}_v${version}.json`;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+const VersionHistory = ({ template }: { template: Template }) => {
+  const queryClient = useQueryClient();
+  const [downloadingVersion, setDownloadingVersion] = useState<string | null>(null);
+  const { data: history } = useQuery<TemplateVersionHistory>({
+    queryKey: ["template-versions", template.id],
+    queryFn: () => fetchTemplateVersions(template.id),
+  });
+
+  if (!history || history.versions.length === 0) return null;
+
+  const handleDownload = async (version: string) => {
+    setDownloadingVersion(version);
+    try {
+      await downloadTemplateVersion(template, version);
+      queryClient.invalidateQueries({ queryKey: ["template-versions", template.id] });
+    } catch (error) {
+      toast.error("Download failed", { description: (error as Error).message });
+    } finally {
+      setDownloadingVersion(null);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+      <h2 className="text-xl font-semibold mb-4 flex items-center">
+        <History className="w-5 h-5 mr-2" />
+        Version History
+      </h2>
+      {history.updateAvailable && (
+        <p className="mb-4 text-sm bg-green-50 text-green-800 border border-green-200 rounded-md px-3 py-2">
+          Version {history.currentVersion} is available - you last downloaded {history.downloadedVersion}.
+        </p>
+      )}
+      <ul className="divide-y">
+        {history.versions.map((entry) => (
+          <li key={entry.version} className="py-3 flex items-start justify-between gap-4">
+            <div>
+              <p className="font-medium">
+                v{entry.version}
+                {entry.isCurrent && <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">Latest</span>}
+                {history.downloadedVersion === entry.version && (
+                  <span className="ml-2 text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">Your version</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleDateString()}</p>
+              {entry.changelog && <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{entry.changelog}</p>}
+            </div>
+            {history.entitled && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => handleDownload(entry.version)}
+                disabled={downloadingVersion !== null}
+              >
+                <Download className="w-4 h-4 mr-1" />
+                {downloadingVersion === entry.version ? 'Downloading...' : 'Download'}
+              </Button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 async function fetchTemplateById(id: string | undefined): Promise<Template> {
   if (!id || id.trim() === '') throw new Error("No template ID provided");
   
-  const response = await apiCall(API_ENDPOINTS.TEMPLATE_BY_ID(id), {
+  // Goes through the interceptor so staff signed in with a bearer token can open drafts under review
+  const response = await authInterceptor.fetch(API_ENDPOINTS.TEMPLATE_BY_ID(id), {
     method: 'GET',
   });
   
@@ -79,6 +188,7 @@ async function fetchTemplateById(id: string | undefined): Promise<Template> {
 export const TemplateDetail = () => {
   const { id: templateIdParam } = useParams<{ id: string }>();
   const location = useLocation();
+  const navigate = useNavigate();
   const [isPurchasing, setIsPurchasing] = useState(false);
   const { currentUser } = useAuth(); // ✅ ADDED: Get current user from AuthProvider
 
@@ -92,6 +202,13 @@ export const TemplateDetail = () => {
     queryKey: ["template", templateId],
     queryFn: () => fetchTemplateById(templateId),
   });
+
+  // Canonical URL: numeric IDs and retired slugs are replaced by the current slug
+  useEffect(() => {
+    if (template?.slug && template.slug !== templateId) {
+      navigate(`/template/${template.slug}${location.search}`, { replace: true });
+    }
+  }, [template?.slug, templateId, location.search, navigate]);
    
   if (isLoading) return <div className="text-center p-12">Loading Marketplace...</div>;
   if (error) return <div className="text-center p-12 text-red-500">Error: {(error as Error).message}</div>;
@@ -180,6 +297,9 @@ export const TemplateDetail = () => {
       <>
         <Helmet>
             <title>{template.name} | DevHubConnect</title>
+            {template.slug && (
+              <link rel="canonical" href={`https://www.devhubconnect.com/template/${template.slug}`} />
+            )}
         </Helmet>
          
         <div className="min-h-screen bg-gray-50">
@@ -227,6 +347,7 @@ export const TemplateDetail = () => {
                     )}
                   </div>
                 </div>
+                <VersionHistory template={template} />
               </div>
               <div>
                 <div className="bg-white p-6 rounded-lg shadow-md">
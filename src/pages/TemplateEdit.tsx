@@ -7,13 +7,15 @@ import { Input } from '../components/ui/input';
 import { Textarea } from '../components/ui/textarea';
 import { Label } from '../components/ui/label';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
-import { ArrowLeft, Save, Trash2, Eye } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { ArrowLeft, Save, Trash2, Eye, Send, ArchiveRestore } from 'lucide-react';
+import authInterceptor from '../utils/authInterceptor';
 
 async function fetchTemplateForEdit(id: string | undefined) {
   if (!id) throw new Error("No template ID provided");
   
-  // ✅ FIXED: Use session cookies instead of JWT tokens
-  const response = await fetch(`/api/templates/${id}`, {
+  // Session cookie or bearer token - drafts are only visible to their creator and moderators
+  const response = await authInterceptor.fetch(`/api/templates/${id}`, {
     method: 'GET',
     credentials: 'include',
     headers: {
@@ -25,6 +27,23 @@ async function fetchTemplateForEdit(id: string | undefined) {
   return data.template;
 }
 
+type VersionBump = 'patch' | 'minor' | 'major';
+
+interface Category {
+  slug: string;
+  name: string;
+}
+
+// Select items can't have an empty value
+const NO_CATEGORY = 'none';
+
+async function fetchCategories(): Promise<Category[]> {
+  const response = await fetch('/api/categories', { credentials: 'include' });
+  if (!response.ok) throw new Error("Failed to fetch categories.");
+  const data = await response.json();
+  return data.categories;
+}
+
 // ✅ FIXED: Updated interface to match server expectations
 async function updateTemplate(data: { 
   id: string | undefined; 
@@ -32,14 +51,18 @@ async function updateTemplate(data: {
   description: string; 
   price: number; 
   image_url?: string; 
-  workflow_json: any 
+  workflow_json: any;
+  category?: string | null;
+  tags?: string[];
+  bump?: VersionBump;
+  changelog?: string;
 }) {
   if (!data.id) throw new Error("No ID provided for update");
   
   console.log('🔧 Sending update data:', data);
   
   // ✅ FIXED: Use session cookies instead of JWT tokens
-  const response = await fetch(`/api/templates/${data.id}`, {
+  const response = await authInterceptor.fetch(`/api/templates/${data.id}`, {
     method: 'PATCH',
     credentials: 'include',
     headers: { 
@@ -49,19 +72,43 @@ async function updateTemplate(data: {
   });
   
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error('❌ Server error response:', errorText);
-    throw new Error(`Failed to update template: ${response.status} ${response.statusText}`);
+    const errorData = await response.json().catch(() => ({}));
+    console.error('❌ Server error response:', errorData);
+    throw new Error(errorData.error || `Failed to update template: ${response.status} ${response.statusText}`);
   }
   
   return response.json();
 }
 
-async function deleteTemplate(id: string | undefined) {
+// Moderation: creators submit drafts for review and restore templates they deleted
+async function transitionTemplate({ id, action }: { id: string | undefined; action: 'submit' | 'restore' }) {
+  if (!id) throw new Error("No ID provided");
+
+  const response = await authInterceptor.fetch(`/api/templates/${id}/${action}`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to ${action} template.`);
+  }
+  return data;
+}
+
+const STATUS_LABELS: Record<string, string> = {
+  draft: 'Draft',
+  published: 'Published',
+  rejected: 'Rejected',
+  archived: 'Archived',
+};
+
+// Deleting archives the template; archived templates can then be purged for good (admins only)
+async function deleteTemplate({ id, permanent }: { id: string | undefined; permanent: boolean }) {
   if (!id) throw new Error("No ID provided for deletion");
   
   // ✅ FIXED: Use session cookies instead of JWT tokens
-  const response = await fetch(`/api/templates/${id}`, { 
+  const response = await authInterceptor.fetch(permanent ? `/api/admin/templates/${id}/purge` : `/api/templates/${id}`, { 
     method: 'DELETE',
     credentials: 'include',
     headers: {
@@ -70,7 +117,7 @@ async function deleteTemplate(id: string | undefined) {
   });
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({ message: "Failed to delete template." }));
-    throw new Error(errorData.message || "Failed to delete template.");
+    throw new Error(errorData.error || errorData.message || "Failed to delete template.");
   }
   return response.json();
 }
@@ -85,11 +132,21 @@ export const TemplateEdit = () => {
     queryFn: () => fetchTemplateForEdit(id),
   });
 
+  const { data: categories = [] } = useQuery({
+    queryKey: ['categories'],
+    queryFn: fetchCategories,
+  });
+
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [price, setPrice] = useState('');
   const [workflowJson, setWorkflowJson] = useState('');
   const [imageUrl, setImageUrl] = useState('');
+  const [category, setCategory] = useState(NO_CATEGORY);
+  const [tags, setTags] = useState('');
+  // Only used when the workflow changed - that releases a new version to buyers
+  const [versionBump, setVersionBump] = useState<VersionBump>('patch');
+  const [changelog, setChangelog] = useState('');
 
   useEffect(() => {
     if (template) {
@@ -97,19 +154,27 @@ export const TemplateEdit = () => {
       console.log('workflowJson field:', template.workflowJson);
       console.log('workflow_json field:', template.workflow_json);
       
-      setName(template.name);
-      setDescription(template.description);
+      // A staged edit to a published template is what the creator last saved, so edit on top of it
+      const edit = template.pending_edit;
+      setName(edit?.name ?? template.name);
+      setDescription(edit?.description ?? template.description);
       setPrice((template.price / 100).toFixed(2));
-      setWorkflowJson(JSON.stringify(template.workflowJson || template.workflow_json || {}, null, 2));
-      setImageUrl(template.imageUrl || template.image_url || '');
+      setWorkflowJson(JSON.stringify(edit?.workflow_json || template.workflowJson || template.workflow_json || {}, null, 2));
+      setImageUrl(edit ? edit.image_url || '' : template.imageUrl || template.image_url || '');
+      setCategory(template.category || NO_CATEGORY);
+      setTags((template.tags || []).join(', '));
     }
   }, [template]);
 
   const updateMutation = useMutation({
     mutationFn: updateTemplate,
-    onSuccess: () => {
+    onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['templates'] });
       queryClient.invalidateQueries({ queryKey: ['template', id] });
+      queryClient.invalidateQueries({ queryKey: ['template-versions'] });
+      if (data.submittedForReview) {
+        alert('Your changes were submitted for review. Buyers and the catalog keep the current version until a moderator approves them.');
+      }
       navigate(`/template/${id}`);
     },
     onError: (error: Error) => {
@@ -118,12 +183,29 @@ export const TemplateEdit = () => {
     }
   });
 
+  const transitionMutation = useMutation({
+    mutationFn: transitionTemplate,
+    onSuccess: (_data, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['template', id] });
+      queryClient.invalidateQueries({ queryKey: ['templates'] });
+      alert(action === 'submit' ? 'Template submitted for review.' : 'Template restored.');
+    },
+    onError: (error: Error) => {
+      alert(error.message);
+    }
+  });
+
   const deleteMutation = useMutation({
     mutationFn: deleteTemplate,
-    onSuccess: () => {
+    onSuccess: (_data, { permanent }) => {
       queryClient.invalidateQueries({ queryKey: ['templates'] });
-      alert("Template deleted successfully!");
-      navigate('/');
+      if (permanent) {
+        alert("Template permanently deleted.");
+        navigate('/');
+      } else {
+        queryClient.invalidateQueries({ queryKey: ['template', id] });
+        alert("Template deleted. Existing buyers keep access, and you can restore it from this page.");
+      }
     },
     onError: (error: Error) => {
       console.error('Delete error:', error);
@@ -142,6 +224,10 @@ export const TemplateEdit = () => {
         image_url: imageUrl, // ✅ Use server field name
         price: Math.round(parseFloat(price) * 100), // ✅ Convert to cents
         workflow_json: JSON.parse(workflowJson), // ✅ Use server field name
+        category: category === NO_CATEGORY ? null : category,
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        bump: versionBump,
+        changelog,
       };
       
       console.log('🚀 Submitting update:', updateData);
@@ -163,6 +249,10 @@ export const TemplateEdit = () => {
         image_url: imageUrl, // ✅ Use server field name
         price: Math.round(parseFloat(price) * 100), // ✅ Convert to cents
         workflow_json: JSON.parse(workflowJson), // ✅ Use server field name
+        category: category === NO_CATEGORY ? null : category,
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        bump: versionBump,
+        changelog,
       };
       
       console.log('🚀 Save and view:', updateData);
@@ -174,10 +264,15 @@ export const TemplateEdit = () => {
     }
   };
 
+  const isArchived = template?.status === 'archived';
+
   const handleDelete = () => {
-    if (window.confirm("Are you sure you want to delete this template? This cannot be undone.")) {
+    const question = isArchived
+      ? "Permanently delete this template? This cannot be undone."
+      : "Delete this template? It leaves the catalog, but existing buyers keep access.";
+    if (window.confirm(question)) {
       console.log('Attempting to delete template with ID:', id);
-      deleteMutation.mutate(id);
+      deleteMutation.mutate({ id, permanent: isArchived });
     }
   };
 
@@ -200,7 +295,7 @@ export const TemplateEdit = () => {
             type="button"
           >
             <Trash2 className="w-4 h-4 mr-2" />
-            {deleteMutation.isPending ? 'Deleting...' : 'Delete Template'}
+            {deleteMutation.isPending ? 'Deleting...' : isArchived ? 'Delete Permanently' : 'Delete Template'}
           </Button>
         </div>
         <Card className="max-w-3xl mx-auto">
@@ -208,6 +303,54 @@ export const TemplateEdit = () => {
             <CardTitle>Edit Template</CardTitle>
           </CardHeader>
           <CardContent>
+            {template?.status && (
+              <div className="mb-6 rounded-md border p-4 space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <p className="text-sm">
+                    Status: <span className="font-semibold">{STATUS_LABELS[template.status] || template.status}</span>
+                    {template.status === 'draft' && template.submitted_at && ' · awaiting review'}
+                  </p>
+                  <div className="flex gap-2">
+                    {['draft', 'rejected'].includes(template.status) && !template.submitted_at && (
+                      <Button
+                        type="button"
+                        size="sm"
+                        onClick={() => transitionMutation.mutate({ id, action: 'submit' })}
+                        disabled={transitionMutation.isPending}
+                      >
+                        <Send className="w-4 h-4 mr-2" />
+                        Submit for Review
+                      </Button>
+                    )}
+                    {isArchived && (
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant="outline"
+                        onClick={() => transitionMutation.mutate({ id, action: 'restore' })}
+                        disabled={transitionMutation.isPending}
+                      >
+                        <ArchiveRestore className="w-4 h-4 mr-2" />
+                        Restore
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                {template.status === 'published' && (
+                  <p className="text-sm text-gray-600">
+                    {template.pending_edit
+                      ? 'Your last edit is waiting for review; the live template is unchanged until it is approved. Saving again replaces it.'
+                      : 'Changes to the name, description, image or workflow go live once a moderator approves them. Price, category and tags change right away.'}
+                  </p>
+                )}
+                {template.status === 'published' && !template.pending_edit && template.edit_rejection_reason && (
+                  <p className="text-sm text-red-600">Last edit rejected: {template.edit_rejection_reason}</p>
+                )}
+                {template.status === 'rejected' && template.rejection_reason && (
+                  <p className="text-sm text-red-600">Rejected: {template.rejection_reason}</p>
+                )}
+              </div>
+            )}
             <form onSubmit={handleSubmit} className="space-y-6">
               <div>
                 <Label htmlFor="name">Template Name</Label>
@@ -221,6 +364,26 @@ export const TemplateEdit = () => {
                 <Label htmlFor="imageUrl">Image URL</Label>
                 <Input id="imageUrl" value={imageUrl} onChange={e => setImageUrl(e.target.value)} />
               </div>
+              <div className="grid gap-4 sm:grid-cols-2">
+                <div>
+                  <Label htmlFor="category">Category</Label>
+                  <Select value={category} onValueChange={setCategory}>
+                    <SelectTrigger id="category">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NO_CATEGORY}>No category</SelectItem>
+                      {categories.map(option => (
+                        <SelectItem key={option.slug} value={option.slug}>{option.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label htmlFor="tags">Tags</Label>
+                  <Input id="tags" value={tags} onChange={e => setTags(e.target.value)} placeholder="slack, notifications, crm" />
+                </div>
+              </div>
               <div>
                 <Label htmlFor="price">Price (USD)</Label>
                 <Input id="price" type="number" step="0.01" value={price} onChange={e => setPrice(e.target.value)} />
@@ -229,6 +392,29 @@ export const TemplateEdit = () => {
                 <Label htmlFor="workflowJson">Workflow JSON</Label>
                 <Textarea id="workflowJson" value={workflowJson} onChange={e => setWorkflowJson(e.target.value)} rows={20} className="font-mono text-xs" />
               </div>
+              <div className="rounded-md border p-4 space-y-4">
+                <p className="text-sm text-gray-600">
+                  Workflow changes are released to buyers as a new version
+                  {(template?.current_version || template?.currentVersion) && ` (current: v${template.current_version || template.currentVersion})`}.
+                </p>
+                <div>
+                  <Label htmlFor="versionBump">Release Type</Label>
+                  <Select value={versionBump} onValueChange={(value) => setVersionBump(value as VersionBump)}>
+                    <SelectTrigger id="versionBump">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="patch">Patch - fixes</SelectItem>
+                      <SelectItem value="minor">Minor - new features</SelectItem>
+                      <SelectItem value="major">Major - breaking changes</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label htmlFor="changelog">Changelog</Label>
+                  <Textarea id="changelog" value={changelog} onChange={e => setChangelog(e.target.value)} rows={3} placeholder="What changed in this version?" />
+                </div>
+              </div>
               <div className="flex gap-3">
                 <Button type="submit" disabled={updateMutation.isPending} className="flex-1">
                   <Save className="w-4 h-4 mr-2" />
@@ -1,115 +1,395 @@
 // Create this as a separate utility file: /utils/authInterceptor.js
+import { buildLoginUrl, csrfHeaders } from '../config/api';
+
+// Cross-tab auth events (login, logout, refresh) go over a BroadcastChannel,
+// falling back to storage events in browsers without one.
+const AUTH_CHANNEL_NAME = 'devhub-auth';
+const AUTH_EVENT_STORAGE_KEY = 'devhub_auth_event';
+
+// Only one tab may call /api/auth/refresh at a time: refresh tokens rotate, and a
+// second tab presenting the same (now used) token would trip reuse detection.
+const REFRESH_LOCK_NAME = 'devhub-auth-refresh';
+const REFRESH_LOCK_STORAGE_KEY = 'devhub_refresh_lock';
+const REFRESH_LOCK_TTL_MS = 10 * 1000;
+
+// Refresh this long before the access token expires (plus a little jitter so tabs don't line up)
+const REFRESH_LEEWAY_MS = 60 * 1000;
+const REFRESH_JITTER_MS = 5 * 1000;
+
+// Idempotent requests are retried on network errors and 5xx responses with
+// exponential backoff and full jitter: a random delay in [0, min(cap, base * 2^attempt)]
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 300;
+const RETRY_MAX_DELAY_MS = 5 * 1000;
+
+const decodeTokenPayload = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch (error) {
+    return null;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class AuthInterceptor {
   constructor() {
-    this.isRefreshing = false;
-    this.failedQueue = [];
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.listeners = new Set();
+    this.tabId = Math.random().toString(36).slice(2);
+    this.channel = null;
+
+    if (typeof window !== 'undefined') {
+      this.setupCrossTabSync();
+      this.scheduleProactiveRefresh();
+    }
   }
 
-  // Process queued requests after token refresh
-  processQueue(error, token = null) {
-    this.failedQueue.forEach(({ resolve, reject }) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(token);
+  // ==================== CROSS-TAB SYNC ====================
+
+  setupCrossTabSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(AUTH_CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.handleRemoteEvent(event.data);
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== AUTH_EVENT_STORAGE_KEY || !event.newValue) return;
+        try {
+          this.handleRemoteEvent(JSON.parse(event.newValue));
+        } catch (error) {
+          // Ignore malformed events
+        }
+      });
+    }
+
+    // Background tabs throttle timers - re-check expiry when the tab comes back
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.scheduleProactiveRefresh();
       }
     });
-    
-    this.failedQueue = [];
   }
 
-  // Enhanced fetch with automatic token refresh
-  async fetch(url, options = {}) {
+  broadcast(type) {
+    const event = { type, source: this.tabId, at: Date.now() };
+
+    if (this.channel) {
+      this.channel.postMessage(event);
+    } else {
+      // Writing then removing the key fires a storage event in every other tab
+      localStorage.setItem(AUTH_EVENT_STORAGE_KEY, JSON.stringify(event));
+      localStorage.removeItem(AUTH_EVENT_STORAGE_KEY);
+    }
+  }
+
+  // Tokens live in shared localStorage, so other tabs only need to update timers and listeners
+  handleRemoteEvent(event) {
+    if (!event || event.source === this.tabId) return;
+
+    if (event.type === 'logout') {
+      this.clearRefreshTimer();
+    } else if (event.type === 'login' || event.type === 'refresh') {
+      this.scheduleProactiveRefresh();
+    } else {
+      return;
+    }
+
+    this.notify(event.type, { remote: true });
+  }
+
+  // Subscribe to 'login' | 'logout' | 'refresh' events from this and other tabs; returns unsubscribe
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  notify(type, details = {}) {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ type, ...details });
+      } catch (error) {
+        console.error('Auth listener error:', error);
+      }
+    });
+  }
+
+  // Call after a login that stored a token (e.g. admin password login)
+  notifyLogin(token, user) {
+    if (token) {
+      localStorage.setItem('token', token);
+    }
+    if (user) {
+      localStorage.setItem('devhub_user', JSON.stringify(user));
+    }
+    this.scheduleProactiveRefresh();
+    this.broadcast('login');
+    this.notify('login');
+  }
+
+  // Call after logging out so every open tab drops its credentials
+  notifyLogout() {
+    this.clearAuthData();
+    this.broadcast('logout');
+    this.notify('logout');
+  }
+
+  clearAuthData() {
+    this.clearRefreshTimer();
+    localStorage.removeItem('token');
+    localStorage.removeItem('devhub_user');
+    localStorage.removeItem('admin_auth');
+  }
+
+  // ==================== PROACTIVE REFRESH ====================
+
+  clearRefreshTimer() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  // Access tokens come from /api/auth/refresh and can be renewed there; admin password tokens cannot
+  isRefreshableToken(token) {
+    return decodeTokenPayload(token)?.type === 'access';
+  }
+
+  scheduleProactiveRefresh() {
+    this.clearRefreshTimer();
+
     const token = localStorage.getItem('token');
-    
-    // Add auth header if token exists
-    if (token && !options.headers?.['Authorization']) {
-      options.headers = {
+    const payload = token && decodeTokenPayload(token);
+    if (!payload?.exp || !this.isRefreshableToken(token)) return;
+
+    const delay = payload.exp * 1000 - Date.now() - REFRESH_LEEWAY_MS - Math.random() * REFRESH_JITTER_MS;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshToken().catch(error => {
+        console.warn('Proactive token refresh failed:', error.message);
+      });
+    }, Math.max(delay, 0));
+  }
+
+  isTokenExpiring(token, leewayMs = REFRESH_LEEWAY_MS) {
+    const payload = decodeTokenPayload(token);
+    if (!payload?.exp) return true;
+    return payload.exp * 1000 - Date.now() < leewayMs;
+  }
+
+  // ==================== SHARED REFRESH ====================
+
+  // Run fn while holding the cross-tab refresh lock (Web Locks API, or a localStorage lease)
+  async withRefreshLock(fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return navigator.locks.request(REFRESH_LOCK_NAME, fn);
+    }
+
+    const deadline = Date.now() + REFRESH_LOCK_TTL_MS;
+    while (Date.now() < deadline) {
+      const lease = JSON.parse(localStorage.getItem(REFRESH_LOCK_STORAGE_KEY) || 'null');
+      if (!lease || lease.expiresAt < Date.now() || lease.owner === this.tabId) {
+        localStorage.setItem(REFRESH_LOCK_STORAGE_KEY, JSON.stringify({
+          owner: this.tabId,
+          expiresAt: Date.now() + REFRESH_LOCK_TTL_MS
+        }));
+        // Re-read to lose gracefully if another tab wrote at the same moment
+        if (JSON.parse(localStorage.getItem(REFRESH_LOCK_STORAGE_KEY) || 'null')?.owner === this.tabId) {
+          break;
+        }
+      }
+      await sleep(100 + Math.random() * 150);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const lease = JSON.parse(localStorage.getItem(REFRESH_LOCK_STORAGE_KEY) || 'null');
+      if (lease?.owner === this.tabId) {
+        localStorage.removeItem(REFRESH_LOCK_STORAGE_KEY);
+      }
+    }
+  }
+
+  // Method to manually refresh token - concurrent callers in this tab share one request,
+  // and tabs waiting on the lock reuse the token another tab just obtained
+  refreshToken() {
+    if (!this.refreshPromise) {
+      const staleToken = localStorage.getItem('token');
+
+      this.refreshPromise = this.withRefreshLock(() => this.performRefresh(staleToken))
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async performRefresh(staleToken) {
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && currentToken !== staleToken && !this.isTokenExpiring(currentToken)) {
+      this.scheduleProactiveRefresh();
+      return {
+        token: currentToken,
+        user: JSON.parse(localStorage.getItem('devhub_user') || 'null')
+      };
+    }
+
+    // Network errors propagate as-is: the session may still be fine, so the caller's request fails and we stay signed in
+    const response = await fetch('/api/auth/refresh', {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // Only the server saying the refresh token is no longer valid ends the session - in every tab
+    if (response.status === 401 || response.status === 403) {
+      this.notifyLogout();
+      const error = new Error('Session ended');
+      error.sessionEnded = true;
+      throw error;
+    }
+
+    const data = response.ok ? await response.json().catch(() => null) : null;
+    if (!data?.token) {
+      throw new Error(`Token refresh failed: ${response.status}`);
+    }
+
+    localStorage.setItem('token', data.token);
+
+    if (data.user) {
+      localStorage.setItem('devhub_user', JSON.stringify(data.user));
+    }
+
+    this.scheduleProactiveRefresh();
+    this.broadcast('refresh');
+    this.notify('refresh');
+    return data;
+  }
+
+  // ==================== RETRIES ====================
+
+  backoffDelay(attempt) {
+    return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  }
+
+  // Retry-After (seconds) from a 503, capped so a misbehaving server can't stall the UI
+  retryAfterDelay(response) {
+    const seconds = parseInt(response.headers.get('Retry-After'), 10);
+    return Number.isFinite(seconds) ? Math.min(seconds * 1000, RETRY_MAX_DELAY_MS) : null;
+  }
+
+  // fetch() that retries idempotent requests; pass `retries: 0` in options to opt out
+  async fetchWithRetry(url, { retries, ...options } = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const maxRetries = IDEMPOTENT_METHODS.includes(method) ? (retries ?? DEFAULT_MAX_RETRIES) : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(url, options);
+        if (response.status < 500 || attempt >= maxRetries) {
+          return response;
+        }
+        await sleep(this.retryAfterDelay(response) ?? this.backoffDelay(attempt));
+      } catch (error) {
+        // Aborted requests were cancelled on purpose - never retry them
+        if (error.name === 'AbortError' || attempt >= maxRetries) {
+          throw error;
+        }
+        await sleep(this.backoffDelay(attempt));
+      }
+    }
+  }
+
+  // ==================== CSRF ====================
+
+  // Cookie-authenticated mutations must echo the devhub_csrf cookie in X-CSRF-Token
+  withCsrfHeader(options) {
+    return {
+      ...options,
+      headers: {
+        ...csrfHeaders(options.method),
+        ...options.headers
+      }
+    };
+  }
+
+  // Sessions from before CSRF tokens (or a cleared cookie) get a fresh token from the server
+  async refreshCsrfToken() {
+    const response = await fetch('/api/auth/csrf', { credentials: 'include' });
+    return response.ok;
+  }
+
+  // ==================== FETCH ====================
+
+  withAuthHeader(options, token) {
+    return {
+      ...options,
+      headers: {
         ...options.headers,
         'Authorization': `Bearer ${token}`
-      };
+      }
+    };
+  }
+
+  // Enhanced fetch with automatic token refresh
+  async fetch(url, options = {}) {
+    let token = localStorage.getItem('token');
+    const explicitAuth = Boolean(options.headers?.['Authorization']);
+
+    // Refresh up front rather than sending a token that is about to expire
+    if (token && !explicitAuth && this.isRefreshableToken(token) && this.isTokenExpiring(token, 5 * 1000)) {
+      // A transient failure keeps the current token; a logout has already removed it
+      token = (await this.refreshToken().catch(() => null))?.token || localStorage.getItem('token');
+    }
+
+    // Add auth header if token exists
+    if (token && !explicitAuth) {
+      options = this.withAuthHeader(options, token);
     }
 
     // Ensure credentials are included for cookies
     options.credentials = options.credentials || 'include';
 
-    let response = await fetch(url, options);
+    let response = await this.fetchWithRetry(url, this.withCsrfHeader(options));
+
+    // Missing or stale CSRF token: fetch a new one and replay the request once
+    if (response.status === 403) {
+      const csrfError = await response.clone().json().catch(() => ({}));
+      if (csrfError.code === 'CSRF_TOKEN_INVALID' && await this.refreshCsrfToken()) {
+        response = await this.fetchWithRetry(url, this.withCsrfHeader(options));
+      }
+    }
 
     // If unauthorized, try to refresh token
     if (response.status === 401 && token) {
-      const authError = await response.json().catch(() => ({}));
-      
-      if (authError.code === 'TOKEN_EXPIRED') {
-        if (this.isRefreshing) {
-          // If already refreshing, wait for it to complete
-          return new Promise((resolve, reject) => {
-            this.failedQueue.push({ resolve, reject });
-          }).then(() => {
-            // Retry original request with new token
-            const newToken = localStorage.getItem('token');
-            if (newToken) {
-              options.headers = {
-                ...options.headers,
-                'Authorization': `Bearer ${newToken}`
-              };
-              return fetch(url, options);
-            }
-            throw new Error('No token after refresh');
-          });
-        }
+      const authError = await response.clone().json().catch(() => ({}));
 
-        this.isRefreshing = true;
+      // The session behind this token was signed out elsewhere
+      if (authError.code === 'TOKEN_REVOKED') {
+        this.notifyLogout();
+        return response;
+      }
 
+      if (authError.code === 'TOKEN_EXPIRED') {
         try {
-          const refreshResponse = await fetch('/api/auth/refresh', {
-            method: 'POST',
-            credentials: 'include',
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          });
-
-          if (refreshResponse.ok) {
-            const data = await refreshResponse.json();
-            
-            if (data.token) {
-              localStorage.setItem('token', data.token);
-              
-              if (data.user) {
-                localStorage.setItem('devhub_user', JSON.stringify(data.user));
-              }
-
-              this.processQueue(null, data.token);
-
-              // Retry original request with new token
-              options.headers = {
-                ...options.headers,
-                'Authorization': `Bearer ${data.token}`
-              };
-              
-              return fetch(url, options);
-            }
-          }
-          
-          throw new Error('Token refresh failed');
-          
+          const data = await this.refreshToken();
+
+          // Retry original request with new token
+          return this.fetchWithRetry(url, this.withAuthHeader(options, data.token));
         } catch (refreshError) {
-          this.processQueue(refreshError, null);
-          
-          // Clear auth data
-          localStorage.removeItem('token');
-          localStorage.removeItem('devhub_user');
-          localStorage.removeItem('admin_auth');
-          
-          // Redirect to GitHub OAuth - FIXED: Use absolute URL
-          if (window.location.pathname !== '/auth') {
-            window.location.href = 'https://www.devhubconnect.com/auth/github';
+          // Send the user to sign in, then back to the page they were on.
+          // Network errors and 5xx only fail this request; the user stays signed in.
+          if (refreshError.sessionEnded && !window.location.pathname.startsWith('/auth')) {
+            window.location.href = buildLoginUrl();
           }
-          
+
           throw refreshError;
-        } finally {
-          this.isRefreshing = false;
         }
       }
     }
@@ -117,53 +397,16 @@ class AuthInterceptor {
     return response;
   }
 
-  // Method to manually refresh token
-  async refreshToken() {
-    try {
-      const response = await fetch('/api/auth/refresh', {
-        method: 'POST',
-        credentials: 'include',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        
-        if (data.token) {
-          localStorage.setItem('token', data.token);
-          
-          if (data.user) {
-            localStorage.setItem('devhub_user', JSON.stringify(data.user));
-          }
-          
-          return data;
-        }
-      }
-      
-      throw new Error('Token refresh failed');
-    } catch (error) {
-      // Clear auth data on refresh failure
-      localStorage.removeItem('token');
-      localStorage.removeItem('devhub_user');
-      localStorage.removeItem('admin_auth');
-      throw error;
-    }
-  }
-
   // Check if token is expired (client-side check)
   isTokenExpired() {
     const token = localStorage.getItem('token');
     if (!token) return true;
 
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      const currentTime = Math.floor(Date.now() / 1000);
-      return payload.exp < currentTime;
-    } catch (error) {
-      return true;
-    }
+    const payload = decodeTokenPayload(token);
+    if (!payload) return true;
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    return payload.exp < currentTime;
   }
 
   // Get current user from token
@@ -171,16 +414,14 @@ class AuthInterceptor {
     const token = localStorage.getItem('token');
     if (!token) return null;
 
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      return {
-        userId: payload.userId,
-        email: payload.email,
-        isAdmin: payload.isAdmin
-      };
-    } catch (error) {
-      return null;
-    }
+    const payload = decodeTokenPayload(token);
+    if (!payload) return null;
+
+    return {
+      userId: payload.userId,
+      email: payload.email,
+      isAdmin: payload.isAdmin
+    };
   }
 }
 
@@ -191,9 +432,12 @@ export default authInterceptor;
 
 // Usage in your components:
 // import authInterceptor from '@/utils/authInterceptor';
-// 
+//
 // // Instead of fetch:
 // const response = await authInterceptor.fetch('/api/some-endpoint');
 //
 // // Manual token refresh:
-// await authInterceptor.refreshToken();
\ No newline at end of file
+// await authInterceptor.refreshToken();
+//
+// // React to login/logout/refresh in any tab:
+// const unsubscribe = authInterceptor.subscribe(({ type }) => { ... });